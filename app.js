@@ -1,148 +1,20 @@
-import { codeToHtml } from "https://esm.sh/shiki@latest";
+import { codeToHtml, codeToTokens } from "https://esm.sh/shiki@latest";
 import JSZip from "https://esm.sh/jszip@latest";
-
-const PALETTE = {
-  primary: [
-    { name: "aegean", hex: "#5088C5" },
-    { name: "amber", hex: "#F28360" },
-    { name: "seaweed", hex: "#3B9886" },
-    { name: "canary", hex: "#F7B846" },
-    { name: "aster", hex: "#7A77AB" },
-    { name: "rose", hex: "#F898AE" },
-    { name: "vital", hex: "#73B5E3" },
-    { name: "tangerine", hex: "#FFB984" },
-    { name: "lime", hex: "#97CD78" },
-    { name: "dragon", hex: "#C85152" },
-    { name: "oat", hex: "#F5E4BE" },
-    { name: "wish", hex: "#BABEE0" },
-  ],
-  neutral: [
-    { name: "pitch", hex: "#09090A" },
-    { name: "crow", hex: "#292928" },
-    { name: "slate", hex: "#43413F" },
-    { name: "bark", hex: "#8F8885" },
-    { name: "chateau", hex: "#BAB0A8" },
-    { name: "gray", hex: "#EBEDE8" },
-    { name: "parchment", hex: "#FDF8F2" },
-  ],
-  shades: [
-    { name: "lapis", hex: "#2B65A1" },
-    { name: "dusk", hex: "#094468" },
-    { name: "cinnabar", hex: "#9E3F41" },
-    { name: "mustard", hex: "#D68D22" },
-    { name: "tanzanite", hex: "#54448C" },
-    { name: "asparagus", hex: "#2A6B5E" },
-    { name: "depths", hex: "#09473E" },
-    { name: "fern", hex: "#47784A" },
-    { name: "matcha", hex: "#71AC5A" },
-    { name: "azalea", hex: "#C14C70" },
-    { name: "steel", hex: "#687787" },
-  ],
-  backgrounds: [
-    { name: "parchment", hex: "#FDF8F2" },
-    { name: "zephyr", hex: "#F4FBFF" },
-    { name: "lichen", hex: "#F7FBEF" },
-    { name: "dawn", hex: "#F8F4F1" },
-    { name: "white", hex: "#FFFFFF" },
-    { name: "crow", hex: "#292928" },
-    { name: "pitch", hex: "#09090A" },
-  ],
-};
-
-const TOKEN_CATEGORIES = [
-  {
-    id: "keyword",
-    label: "Keyword",
-    tmScopes: ["keyword", "keyword.control"],
-    pandocTokens: ["Keyword", "ControlFlow"],
-  },
-  {
-    id: "error",
-    label: "Error",
-    tmScopes: ["invalid"],
-    pandocTokens: ["Error", "Alert", "Warning"],
-  },
-  {
-    id: "string",
-    label: "String",
-    tmScopes: ["string"],
-    pandocTokens: ["String", "Char", "VerbatimString", "SpecialString", "SpecialChar"],
-  },
-  {
-    id: "function",
-    label: "Function",
-    tmScopes: ["entity.name.function", "support.function"],
-    pandocTokens: ["Function"],
-  },
-  {
-    id: "comment",
-    label: "Comment",
-    tmScopes: ["comment"],
-    pandocTokens: ["Comment", "Documentation", "CommentVar", "Annotation"],
-  },
-  {
-    id: "type",
-    label: "Type",
-    tmScopes: ["entity.name.type", "storage.type", "support.type"],
-    pandocTokens: ["DataType"],
-  },
-  {
-    id: "class",
-    label: "Class",
-    tmScopes: ["entity.name.type.class"],
-    pandocTokens: [],
-  },
-  {
-    id: "variable",
-    label: "Variable",
-    tmScopes: ["variable", "variable.parameter"],
-    pandocTokens: ["Variable"],
-  },
-  {
-    id: "number",
-    label: "Number",
-    tmScopes: ["constant.numeric"],
-    pandocTokens: ["DecVal", "BaseN", "Float"],
-  },
-  {
-    id: "constant",
-    label: "Constant",
-    tmScopes: ["constant.language"],
-    pandocTokens: ["Constant", "BuiltIn"],
-  },
-  {
-    id: "operator",
-    label: "Operator",
-    tmScopes: ["keyword.operator"],
-    pandocTokens: ["Operator"],
-  },
-  {
-    id: "import",
-    label: "Import",
-    tmScopes: ["keyword.import", "keyword.control.import"],
-    pandocTokens: ["Import", "Preprocessor"],
-  },
-  {
-    id: "attribute",
-    label: "Attribute",
-    tmScopes: ["entity.other.attribute-name", "entity.other.inherited-class"],
-    pandocTokens: ["Attribute"],
-  },
-];
-
-const GLOBAL_SETTINGS = [
-  { id: "background", label: "Background" },
-  { id: "foreground", label: "Foreground" },
-];
-
-const ALL_PANDOC_TOKENS = [
-  "Alert", "Annotation", "Attribute", "BaseN", "BuiltIn", "Char",
-  "Comment", "CommentVar", "Constant", "ControlFlow", "DataType",
-  "DecVal", "Documentation", "Error", "Extension", "Float",
-  "Function", "Import", "Information", "Keyword", "Operator",
-  "Other", "Preprocessor", "RegionMarker", "SpecialChar",
-  "SpecialString", "String", "Variable", "VerbatimString", "Warning",
-];
+import {
+  ALL_PANDOC_TOKENS, ANSI_COLORS, DEFAULT_THEME_NAME, GLOBAL_SETTINGS, PALETTE,
+  PANDOC_TARGET_PREFIX, PANDOC_TOKEN_CLASSES, RULE_TARGET_PREFIX, THEME_DOCUMENT_SUFFIX, THEME_FORMATS,
+  TOKEN_CATEGORIES, TYPOGRAPHY_FIELDS, TYPOGRAPHY_FONTS, UI_COLORS, UI_COLOR_GROUPS,
+  UI_COLOR_TARGET_PREFIX, VARIANTS, activeRules, baseThemeName, buildExtensionReadme,
+  buildPandocTheme, buildShikiTheme, buildVscodeManifest, buildVscodeTheme,
+  buildVsixContentTypes, buildVsixManifest, contrastRatio, createCustomRule,
+  createMetadata, createPandocSettings, createTheme, createTypography, cssFontStack,
+  escapeHtml, exportFiles, hexToLinearRgb, hexToRgb, importPandocSettings,
+  isLightBackground, linearRgbToHex, loadThemeDocument, loadThemeFromFile,
+  loadVscodeSettings, normalizeColor, normalizeMetadata, normalizeTheme, normalizeTypography, pandocCss, pandocStyle, pandocTargetColor, parseJsonc,
+  pruneUiColors, relativeLuminance, ruleScopes, scopeMatchesSelector,
+  setPandocTargetColor, slugify, uiColor, uiColorsFor, updatePandocStyle,
+  validateThemeSlug, variantIdForFile, variantThemeName, vscodeExtensionThemePath,
+} from "./theme-core.js";
 
 const CODE_SAMPLE = `from __future__ import annotations
 from dataclasses import dataclass
@@ -406,483 +278,3755 @@ class Gradient:
         return [(i / 255.0, mcolors.rgb2hex(self.to_mpl_cmap()(i / 255.0))) for i in range(256)]
 `;
 
-const state = {
-  background: "#f6f6f6",
-  foreground: "#2f3337",
-  keyword: "#015692",
-  string: "#54790d",
-  comment: "#656e77",
-  function: "#b75501",
-  type: "#015692",
-  class: "#b65602",
-  variable: "#2f3337",
-  number: "#b75501",
-  operator: "#015692",
-  constant: "#b75501",
-  import: "#015692",
-  attribute: "#015692",
-  error: "#9E3F41",
+const CODE_SAMPLE_R = `library(ggplot2)
+suppressPackageStartupMessages(library(dplyr))
+
+# Normalize raw counts to log-CPM and flag outliers
+#' @param counts A data frame with a \`value\` column of raw counts
+#' @return The input with normalized columns added
+normalize_counts <- function(counts, pseudocount = 1L, method = "log2") {
+  if (!is.data.frame(counts)) {
+    stop("\`counts\` must be a data frame")
+  }
+  scale_factor <- 1e6 / sum(counts$value, na.rm = TRUE)
+  counts %>%
+    mutate(
+      cpm = value * scale_factor,
+      log_cpm = log2(cpm + pseudocount),
+      is_outlier = abs(log_cpm - mean(log_cpm)) > 3 * sd(log_cpm)
+    )
+}
+
+setClass("Sample", representation(id = "character", depth = "numeric"))
+
+results <- normalize_counts(read.csv("counts.csv"))
+threshold <- 0.05
+filtered <- results[results$log_cpm > threshold & !is.na(results$log_cpm), ]
+
+ggplot(filtered, aes(x = cpm, y = log_cpm, color = is_outlier)) +
+  geom_point(alpha = 0.6) +
+  theme_minimal()
+
+for (i in seq_len(nrow(filtered))) {
+  if (filtered$is_outlier[i] == TRUE) next
+}
+`;
+
+const CODE_SAMPLE_JULIA = `module Gradients
+
+using Statistics
+import LinearAlgebra: norm
+
+export Anchor, Gradient, interpolate
+
+"""
+    Anchor(color, value)
+
+A paired color and position value for a gradient.
+"""
+struct Anchor{T<:Real}
+    color::String
+    value::T
+end
+
+abstract type AbstractGradient end
+
+mutable struct Gradient <: AbstractGradient
+    name::String
+    anchors::Vector{Anchor{Float64}}
+end
+
+# Evenly distribute \`n\` values between 0 and 1
+distribute(n::Int) = n < 2 ? [0.0] : collect(range(0.0, 1.0; length=n))
+
+function interpolate(g::Gradient, x::Float64; strict::Bool = true)::String
+    strict && @assert 0.0 <= x <= 1.0 "x must be in [0, 1]"
+    for (i, anchor) in enumerate(g.anchors)
+        if anchor.value >= x
+            return i == 1 ? anchor.color : g.anchors[i - 1].color
+        end
+    end
+    return last(g.anchors).color
+end
+
+const DEFAULT = Gradient("viridis", [Anchor("#440154", 0.0), Anchor("#FDE725", 1.0)])
+println("Loaded $(length(DEFAULT.anchors)) anchors, mean = $(mean(a.value for a in DEFAULT.anchors))")
+isempty(DEFAULT.anchors) && error("no anchors")
+cache = Dict{String, Union{Gradient, Nothing}}("magma" => nothing)
+
+end # module
+`;
+
+const CODE_SAMPLE_BASH = `#!/usr/bin/env bash
+set -euo pipefail
+
+source "$(dirname "$0")/lib/common.sh"
+
+readonly OUTPUT_DIR="\${1:-./results}"
+declare -i THREADS=8
+SAMPLES=(control treated_1 treated_2)
+declare -A REFERENCES=([human]=GRCh38 [mouse]=GRCm39)
+
+function cleanup {
+    rm -f "\${OUTPUT_DIR}"/*.tmp
+}
+trap cleanup EXIT
+
+# Align each sample and sort the resulting reads
+align_sample() {
+    local sample="$1"
+    local reads="data/\${sample}.fastq.gz"
+    if [[ ! -f "$reads" ]]; then
+        echo "error: missing \${reads}" >&2
+        return 1
+    fi
+    bowtie2 -p "$THREADS" -x ref/genome -U "$reads" \\
+        | samtools sort -o "\${OUTPUT_DIR}/\${sample}.bam"
+}
+
+mkdir -p "$OUTPUT_DIR"
+if [[ "\${DRY_RUN:-false}" == true ]]; then
+    echo "Reference: \${REFERENCES[human]}"
+fi
+for sample in "\${SAMPLES[@]}"; do
+    align_sample "$sample" && echo "done: $sample"
+done
+
+total=$(( \${#SAMPLES[@]} * 2 ))
+export PIPELINE_COMPLETE=true
+echo "Processed $total files" | tee -a pipeline.log
+exit 0
+`;
+
+const CODE_SAMPLE_SQL = `-- Summarize sequencing runs per organism
+CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY,
+    organism VARCHAR(128) NOT NULL,
+    read_count BIGINT DEFAULT 0,
+    quality REAL CHECK (quality BETWEEN 0.0 AND 1.0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+/* Only keep runs that passed QC */
+WITH passing AS (
+    SELECT organism, read_count, quality
+    FROM runs
+    WHERE quality >= 0.85 AND organism IS NOT NULL
+)
+SELECT
+    organism,
+    COUNT(*) AS n_runs,
+    ROUND(AVG(quality), 3) AS mean_quality,
+    SUM(read_count) / 1e6 AS million_reads
+FROM passing
+GROUP BY organism
+HAVING COUNT(*) > 2
+ORDER BY million_reads DESC
+LIMIT 10;
+
+UPDATE runs SET quality = NULL WHERE organism LIKE 'unknown%';
+`;
+
+const CODE_SAMPLE_TYPESCRIPT = `import { readFile } from "node:fs/promises";
+import type { HexCode } from "./hexcode";
+
+// A paired color and position value for a gradient
+export interface Anchor {
+  readonly color: HexCode;
+  value: number;
+}
+
+enum Interpolation {
+  Linear = "linear",
+  Lightness = "lightness",
+}
+
+/** A sequence of colors and their positions that define a continuous gradient. */
+@sealed
+export class Gradient<T extends Anchor = Anchor> extends Base implements Iterable<T> {
+  private static readonly MAX_STEPS = 256;
+
+  constructor(public name: string, private anchors: T[] = []) {
+    super();
+    if (anchors.length < 2) {
+      throw new RangeError(\`A gradient must have at least two anchors, got \${anchors.length}\`);
+    }
+  }
+
+  get numAnchors(): number {
+    return this.anchors.length;
+  }
+
+  *[Symbol.iterator](): Iterator<T> {
+    yield* this.anchors;
+  }
+
+  async save(path: string): Promise<boolean> {
+    const existing = await readFile(path, "utf8").catch(() => null);
+    return existing !== null && this.numAnchors > 0x10;
+  }
+}
+
+const steps = [0, 0.25, 0.5, 1e-3].map((v) => v * 2);
+let mode: Interpolation | undefined = Interpolation.Linear;
+`;
+
+const CODE_SAMPLE_YAML = `# Quarto project configuration
+project:
+  type: website
+  output-dir: _site
+  render:
+    - "*.qmd"
+    - "!drafts/"
+
+website:
+  title: "Arcadia Science"
+  page-navigation: true
+  navbar:
+    left:
+      - href: index.qmd
+        text: Home
+      - pubs/gradient.qmd
+
+format:
+  html:
+    theme: cosmo
+    highlight-style: arcadia-light.theme
+    code-fold: false
+    toc-depth: 3
+    fig-width: 6.5
+    embed-resources: null
+
+defaults: &defaults
+  echo: true
+  warning: no
+
+execute:
+  <<: *defaults
+  freeze: auto
+  timeout: 1.5e3
+  cache: ~
+`;
+
+const CODE_SAMPLES = [
+  { lang: "python", label: "Python", code: CODE_SAMPLE },
+  { lang: "r", label: "R", code: CODE_SAMPLE_R },
+  { lang: "julia", label: "Julia", code: CODE_SAMPLE_JULIA },
+  { lang: "bash", label: "Bash", code: CODE_SAMPLE_BASH },
+  { lang: "sql", label: "SQL", code: CODE_SAMPLE_SQL },
+  { lang: "typescript", label: "TypeScript", code: CODE_SAMPLE_TYPESCRIPT },
+  { lang: "yaml", label: "YAML", code: CODE_SAMPLE_YAML },
+];
+
+// The theme being edited, minus its name, which lives in the #theme-name input
+const project = {
+  active: "light",
+  metadata: createMetadata(),
+  variants: createTheme().variants,
+  typography: createTypography(),
+};
+
+// The variant currently being edited; reassigned by switchVariant()
+let state = project.variants.light.state;
+let styleState = project.variants.light.styleState;
+
+// Light-theme palette colors and the counterpart used when deriving a dark variant
+const DARK_COUNTERPARTS = {
+  lapis: "aegean",
+  dusk: "vital",
+  cinnabar: "dragon",
+  mustard: "canary",
+  tanzanite: "aster",
+  asparagus: "seaweed",
+  depths: "seaweed",
+  fern: "lime",
+  matcha: "lime",
+  azalea: "rose",
+  steel: "wish",
+  pitch: "parchment",
+  crow: "gray",
+  slate: "chateau",
+  chateau: "slate",
+  gray: "crow",
 };
 
-const styleState = {
-  keyword: { bold: true, italic: false },
-  string: { bold: false, italic: true },
-  comment: { bold: false, italic: true },
-  function: { bold: true, italic: false },
-  type: { bold: true, italic: false },
-  class: { bold: true, italic: false },
-  variable: { bold: false, italic: false },
-  number: { bold: false, italic: false },
-  operator: { bold: false, italic: false },
-  constant: { bold: false, italic: false },
-  import: { bold: false, italic: false },
-  attribute: { bold: false, italic: false },
-  error: { bold: false, italic: false },
+const DARK_BACKGROUND = "#292928";
+
+const previewState = {
+  source: "sample",
+  lang: "python",
+  grid: false,
+  sideBySide: false,
+  vision: "none",
+  inspect: false,
+  frame: false,
+  snippet: "",
+  snippetLang: "auto",
+  renderer: "shiki",
 };
 
+const SNIPPET_STORAGE_KEY = "arcadia-theme-builder:snippet";
+const SESSION_STORAGE_KEY = "arcadia-theme-builder:session";
+const LIBRARY_STORAGE_KEY = "arcadia-theme-builder:library";
+const EXPORT_FORMATS_STORAGE_KEY = "arcadia-theme-builder:export-formats";
+const PALETTES_STORAGE_KEY = "arcadia-theme-builder:palettes";
+
 let activePopoverTarget = null;
 
+const SIDEBAR_TABS = [
+  { id: "theme", label: "Theme" },
+  { id: "pandoc", label: "Pandoc" },
+];
+
+let sidebarTab = "theme";
+
 function colorName(hex) {
   const upper = hex.toUpperCase();
-  for (const group of Object.values(PALETTE)) {
-    for (const color of group) {
-      if (color.hex.toUpperCase() === upper) return color.name;
-    }
-  }
-  return hex.toLowerCase();
+  const color = paletteColors().find((c) => c.hex.toUpperCase() === upper);
+  return color ? color.name : hex.toLowerCase();
 }
 
-function fontStyle(id) {
-  const s = styleState[id];
-  if (!s) return "";
-  const parts = [];
-  if (s.bold) parts.push("bold");
-  if (s.italic) parts.push("italic");
-  return parts.join(" ");
+function themeName() {
+  return document.getElementById("theme-name").value || DEFAULT_THEME_NAME;
 }
 
-function isLightBackground(hex) {
-  const r = parseInt(hex.slice(1, 3), 16);
-  const g = parseInt(hex.slice(3, 5), 16);
-  const b = parseInt(hex.slice(5, 7), 16);
-  return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.5;
+function setThemeName(name) {
+  document.getElementById("theme-name").value = baseThemeName(name);
 }
 
-function themeName() {
-  return document.getElementById("theme-name").value || "arcadia";
+// The project as the theme object the builders in theme-core.js take
+function currentTheme() {
+  return { name: themeName(), metadata: normalizeMetadata(project.metadata), variants: project.variants, typography: project.typography };
 }
 
-// --- Reverse lookup tables (scope/token -> category id) ---
+// --- Palettes ---
 
-const tmScopeToCategoryId = new Map();
-for (const cat of TOKEN_CATEGORIES) {
-  for (const scope of cat.tmScopes) {
-    tmScopeToCategoryId.set(scope, cat.id);
-  }
-}
+// The built-in Arcadia PALETTE is always available and read-only; imported or
+// duplicated palettes are stored in the browser. Every palette has PALETTE's
+// shape: group name -> [{ name, hex }].
+const BUILT_IN_PALETTE_ID = "arcadia";
 
-const pandocTokenToCategoryId = new Map();
-for (const cat of TOKEN_CATEGORIES) {
-  for (const tok of cat.pandocTokens) {
-    pandocTokenToCategoryId.set(tok, cat.id);
-    pandocTokenToCategoryId.set(tok + "Tok", cat.id);
-  }
-}
+const paletteLibrary = {
+  active: BUILT_IN_PALETTE_ID,
+  palettes: [],
+};
 
-// --- Theme builders (state -> export format) ---
+function builtInPalette() {
+  return { id: BUILT_IN_PALETTE_ID, name: "Arcadia", groups: PALETTE, builtIn: true };
+}
 
-function buildShikiTheme() {
-  return {
-    name: "arcadia-custom",
-    type: isLightBackground(state.background) ? "light" : "dark",
-    colors: {
-      "editor.background": state.background,
-      "editor.foreground": state.foreground,
-    },
-    settings: [
-      {
-        settings: {
-          background: state.background,
-          foreground: state.foreground,
-        },
-      },
-      ...TOKEN_CATEGORIES.map((cat) => {
-        const settings = { foreground: state[cat.id] };
-        const fs = fontStyle(cat.id);
-        if (fs) settings.fontStyle = fs;
-        return { scope: cat.tmScopes, settings };
-      }),
-    ],
-  };
+function allPalettes() {
+  return [builtInPalette(), ...paletteLibrary.palettes];
 }
 
-function buildTmTheme() {
-  const scopeEntries = TOKEN_CATEGORIES.map(
-    (cat) => {
-      const fs = fontStyle(cat.id);
-      const fsEntry = fs ? `
-                <key>fontStyle</key>
-                <string>${fs}</string>` : "";
-      return `
-        <dict>
-            <key>name</key>
-            <string>${cat.label}</string>
-            <key>scope</key>
-            <string>${cat.tmScopes.join(", ")}</string>
-            <key>settings</key>
-            <dict>
-                <key>foreground</key>
-                <string>${state[cat.id]}</string>${fsEntry}
-            </dict>
-        </dict>`;
-    }
-  ).join("");
-
-  return `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE plist PUBLIC "-//Apple Computer//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
-<plist version="1.0">
-<dict>
-    <key>name</key>
-    <string>${themeName()}</string>
-    <key>settings</key>
-    <array>
-        <dict>
-            <key>settings</key>
-            <dict>
-                <key>background</key>
-                <string>${state.background}</string>
-                <key>foreground</key>
-                <string>${state.foreground}</string>
-            </dict>
-        </dict>${scopeEntries}
-    </array>
-</dict>
-</plist>`;
-}
-
-function buildPandocTheme() {
-  const tokenToColor = {};
-  const tokenToStyle = {};
-  for (const cat of TOKEN_CATEGORIES) {
-    for (const tok of cat.pandocTokens) {
-      tokenToColor[tok] = state[cat.id];
-      tokenToStyle[tok] = styleState[cat.id];
-    }
-  }
+function findPalette(id) {
+  return allPalettes().find((palette) => palette.id === id) || null;
+}
 
-  const textStyles = {};
-  for (const tok of ALL_PANDOC_TOKENS) {
-    const s = tokenToStyle[tok] || { bold: false, italic: false };
-    textStyles[tok] = {
-      "text-color": tokenToColor[tok] || null,
-      "background-color": null,
-      "bold": s.bold,
-      "italic": s.italic,
-      "underline": false,
-    };
-  }
+function activePalette() {
+  return findPalette(paletteLibrary.active) || builtInPalette();
+}
 
-  return JSON.stringify(
-    {
-      metadata: {
-        name: themeName(),
-        author: "Arcadia Science",
-        license: "",
-        revision: 1,
-      },
-      "text-color": state.foreground,
-      "background-color": state.background,
-      "line-number-color": state.foreground,
-      "line-number-background-color": null,
-      "text-styles": textStyles,
-    },
-    null,
-    2
-  );
+function paletteColors(palette = activePalette()) {
+  return Object.values(palette.groups).flat();
 }
 
-function buildVscodeTheme() {
-  return JSON.stringify(
-    {
-      $schema: "vscode://schemas/color-theme",
-      name: themeName(),
-      type: isLightBackground(state.background) ? "light" : "dark",
-      colors: {
-        "editor.background": state.background,
-        "editor.foreground": state.foreground,
-      },
-      tokenColors: TOKEN_CATEGORIES.map((cat) => {
-        const settings = { foreground: state[cat.id] };
-        const fs = fontStyle(cat.id);
-        if (fs) settings.fontStyle = fs;
-        return { name: cat.label, scope: cat.tmScopes, settings };
-      }),
-    },
-    null,
-    2
+function loadPalettes() {
+  const saved = readStorage(PALETTES_STORAGE_KEY, null);
+  if (!saved || !Array.isArray(saved.palettes)) return;
+  paletteLibrary.palettes = saved.palettes.filter(
+    (palette) => palette?.id && palette.groups && typeof palette.groups === "object"
   );
+  paletteLibrary.active = findPalette(saved.active) ? saved.active : BUILT_IN_PALETTE_ID;
 }
 
-// --- Theme loaders (export format -> state) ---
-
-function loadVscodeTheme(json) {
-  if (json.colors) {
-    if (json.colors["editor.background"]) state.background = json.colors["editor.background"];
-    if (json.colors["editor.foreground"]) state.foreground = json.colors["editor.foreground"];
-  }
-
-  if (json.tokenColors) {
-    for (const entry of json.tokenColors) {
-      const scopes = Array.isArray(entry.scope) ? entry.scope : [entry.scope];
-      const fg = entry.settings?.foreground;
-      if (!fg) continue;
-      for (const scope of scopes) {
-        const catId = tmScopeToCategoryId.get(scope);
-        if (catId) {
-          state[catId] = fg;
-          const fs = entry.settings?.fontStyle || "";
-          styleState[catId] = {
-            bold: fs.includes("bold"),
-            italic: fs.includes("italic"),
-          };
-          break;
-        }
-      }
-    }
-  }
-
-  if (json.name) {
-    document.getElementById("theme-name").value = json.name;
-  }
+function savePalettes() {
+  writeStorage(PALETTES_STORAGE_KEY, paletteLibrary);
 }
 
-function loadPandocTheme(json) {
-  if (json["text-color"]) state.foreground = json["text-color"];
-  if (json["background-color"]) state.background = json["background-color"];
+function switchPalette(id) {
+  paletteLibrary.active = findPalette(id) ? id : BUILT_IN_PALETTE_ID;
+  savePalettes();
+  renderSidebar();
+}
 
-  const textStyles = json["text-styles"];
-  if (textStyles) {
-    const seen = new Set();
-    for (const [tokKey, style] of Object.entries(textStyles)) {
-      const catId = pandocTokenToCategoryId.get(tokKey);
-      if (catId && !seen.has(catId) && style["text-color"]) {
-        state[catId] = style["text-color"];
-        styleState[catId] = {
-          bold: !!style["bold"],
-          italic: !!style["italic"],
-        };
-        seen.add(catId);
-      }
-    }
-  }
+function addPalette(palette) {
+  const entry = { ...palette, id: crypto.randomUUID() };
+  delete entry.builtIn;
+  paletteLibrary.palettes.push(entry);
+  paletteLibrary.active = entry.id;
+  savePalettes();
+  return entry;
+}
 
-  if (json.metadata?.name) {
-    document.getElementById("theme-name").value = json.metadata.name;
-  }
+function duplicatePalette(id) {
+  const source = findPalette(id);
+  if (!source) return null;
+  return addPalette({ name: `${source.name} copy`, groups: structuredClone(source.groups) });
 }
 
-function loadTmTheme(xmlString) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlString, "application/xml");
-  const dicts = doc.querySelectorAll("plist > dict > array > dict");
+function deletePalette(id) {
+  paletteLibrary.palettes = paletteLibrary.palettes.filter((palette) => palette.id !== id);
+  if (paletteLibrary.active === id) paletteLibrary.active = BUILT_IN_PALETTE_ID;
+  savePalettes();
+}
 
-  for (const dict of dicts) {
-    const keys = dict.querySelectorAll(":scope > key");
-    const keyMap = {};
-    for (const key of keys) {
-      keyMap[key.textContent] = key.nextElementSibling;
-    }
+function swatchName(name, fallback) {
+  const trimmed = String(name ?? "").trim();
+  return trimmed || fallback;
+}
 
-    if (keyMap["scope"]) {
-      const scopeStr = keyMap["scope"].textContent;
-      const scopes = scopeStr.split(",").map((s) => s.trim());
-      const settingsDict = keyMap["settings"];
-      const fg = extractPlistDictValue(settingsDict, "foreground");
-      if (!fg) continue;
-      const fs = extractPlistDictValue(settingsDict, "fontStyle") || "";
-      for (const scope of scopes) {
-        const catId = tmScopeToCategoryId.get(scope);
-        if (catId) {
-          state[catId] = fg;
-          styleState[catId] = {
-            bold: fs.includes("bold"),
-            italic: fs.includes("italic"),
-          };
-          break;
-        }
-      }
-    } else if (keyMap["settings"]) {
-      const settingsDict = keyMap["settings"];
-      const bg = extractPlistDictValue(settingsDict, "background");
-      const fg = extractPlistDictValue(settingsDict, "foreground");
-      if (bg) state.background = bg;
-      if (fg) state.foreground = fg;
-    }
-  }
+// Adds a swatch to a group, creating the group on first use
+function addSwatch(groups, group, name, hex) {
+  if (!groups[group]) groups[group] = [];
+  groups[group].push({ name: swatchName(name, hex.toLowerCase()), hex });
+}
 
-  const nameKey = doc.querySelector("plist > dict > key");
-  if (nameKey?.textContent === "name") {
-    const nameVal = nameKey.nextElementSibling?.textContent;
-    if (nameVal) document.getElementById("theme-name").value = nameVal;
+// CSS color values as palettes write them: hex, names and rgb()/rgba()
+function paletteColor(value, context, warnings) {
+  if (typeof value !== "string") return null;
+  const rgb = value.trim().match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*[\d.%]+\s*)?\)$/i);
+  if (rgb) {
+    return `#${rgb.slice(1, 4).map((c) => Math.round(Math.min(255, Number(c))).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
   }
+  return normalizeColor(value, context, warnings);
 }
 
-function extractPlistDictValue(dictEl, keyName) {
-  const keys = dictEl.querySelectorAll(":scope > key");
-  for (const key of keys) {
-    if (key.textContent === keyName) {
-      return key.nextElementSibling?.textContent || null;
+// Our own export ({ name, groups }), PALETTE-shaped objects, arrays of swatches and
+// nested design-token objects ({ primary: { aegean: "#5088C5" } } or { value: ... })
+function parsePaletteJson(text, warnings) {
+  const data = parseJsonc(text);
+  const groups = {};
+  const swatchValue = (value) => (value && typeof value === "object" ? value.hex ?? value.value ?? value.$value ?? value.color : value);
+
+  const walk = (node, path) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, i) => {
+        const hex = paletteColor(swatchValue(item), `${path.join(".") || "palette"}[${i}]`, warnings);
+        if (hex) addSwatch(groups, path.join(".") || "colors", item?.name, hex);
+        else warnings.push(`${path.join(".") || "palette"}[${i}]: not a color`);
+      });
+      return;
     }
+    for (const [key, value] of Object.entries(node)) {
+      const hex = paletteColor(swatchValue(value), [...path, key].join("."), warnings);
+      if (hex) addSwatch(groups, path.join(".") || "colors", key, hex);
+      else if (value && typeof value === "object") walk(value, [...path, key]);
+      else warnings.push(`${[...path, key].join(".")}: not a color`);
+    }
+  };
+
+  if (!data || typeof data !== "object") throw new Error("Expected a JSON object or array of colors");
+  const root = data.groups && typeof data.groups === "object" ? data.groups : data;
+  if (root === data && typeof data.name === "string") {
+    const { name, ...rest } = data;
+    walk(rest, []);
+  } else {
+    walk(root, []);
   }
-  return null;
+  return { name: typeof data.name === "string" ? data.name : null, groups };
 }
 
-function loadThemeFromFile(filename, content) {
-  if (filename.endsWith(".tmTheme")) {
-    loadTmTheme(content);
-  } else {
-    const json = JSON.parse(content);
-    if (json["text-styles"]) {
-      loadPandocTheme(json);
-    } else {
-      loadVscodeTheme(json);
+// --name: value custom properties; "--primary-aegean" becomes aegean in group primary
+function parsePaletteCss(text, warnings) {
+  const groups = {};
+  const declaration = /--([\w-]+)\s*:\s*([^;}]+)/g;
+  for (const [, property, value] of text.replace(/\/\*[\s\S]*?\*\//g, "").matchAll(declaration)) {
+    const hex = paletteColor(value, `--${property}`, warnings);
+    if (!hex) {
+      warnings.push(`--${property}: skipped ${value.trim()}, which is not a literal color`);
+      continue;
     }
+    const dash = property.indexOf("-");
+    if (dash > 0) addSwatch(groups, property.slice(0, dash), property.slice(dash + 1), hex);
+    else addSwatch(groups, "colors", property, hex);
   }
+  return { name: null, groups };
 }
 
-// --- Rendering ---
-
-async function renderPreview() {
-  const html = await codeToHtml(CODE_SAMPLE, {
-    lang: "python",
-    theme: buildShikiTheme(),
+// GIMP .gpl: a "GIMP Palette" header, optional Name:/Columns: lines, then "R G B name"
+function parseGimpPalette(text, warnings) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0].trim() !== "GIMP Palette") throw new Error('Missing the "GIMP Palette" header');
+  const groups = {};
+  let name = null;
+  lines.slice(1).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#") || /^Columns:/i.test(trimmed)) return;
+    const header = trimmed.match(/^Name:\s*(.*)$/i);
+    if (header) {
+      name = header[1];
+      return;
+    }
+    const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+    if (!match || match.slice(1, 4).some((c) => Number(c) > 255)) {
+      warnings.push(`Line ${i + 2}: expected "R G B name", found ${JSON.stringify(trimmed)}`);
+      return;
+    }
+    const hex = `#${match.slice(1, 4).map((c) => Number(c).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
+    addSwatch(groups, "colors", match[4], hex);
   });
-  document.getElementById("preview").innerHTML = html;
+  return { name, groups };
 }
 
-function renderSidebar() {
-  const sidebar = document.getElementById("sidebar");
-  sidebar.innerHTML = "";
+// Adobe Swatch Exchange stores Lab against the D50 white; adapt to D65 (Bradford) for sRGB
+function aseLabToHex(l, a, b) {
+  const fy = (l * 100 + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const inverse = (t) => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+  const [x, y, z] = [inverse(fx) * 0.96422, inverse(fy), inverse(fz) * 0.82521];
+  const x65 = 0.9555766 * x - 0.0230393 * y + 0.0631636 * z;
+  const y65 = -0.0282895 * x + 1.0099416 * y + 0.0210077 * z;
+  const z65 = 0.0122982 * x - 0.020483 * y + 1.3299098 * z;
+  return linearRgbToHex([
+    3.2404542 * x65 - 1.5371385 * y65 - 0.4985314 * z65,
+    -0.969266 * x65 + 1.8760108 * y65 + 0.041556 * z65,
+    0.0556434 * x65 - 0.2040259 * y65 + 1.0572252 * z65,
+  ]).toUpperCase();
+}
 
-  const globalLabel = document.createElement("div");
-  globalLabel.className = "section-label";
-  globalLabel.textContent = "Global";
-  sidebar.appendChild(globalLabel);
+function parseAsePalette(buffer, warnings) {
+  const view = new DataView(buffer);
+  const truncated = new Error("The .ase file is truncated");
+  let offset = 0;
+  const need = (n) => {
+    if (offset + n > view.byteLength) throw truncated;
+  };
+  const readString = () => {
+    need(2);
+    const length = view.getUint16(offset);
+    offset += 2;
+    need(length * 2);
+    let text = "";
+    for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint16(offset + i * 2));
+    offset += length * 2;
+    return text.replace(/\0+$/, "");
+  };
 
-  for (const setting of GLOBAL_SETTINGS) {
-    sidebar.appendChild(createTokenRow(setting.id, setting.label));
+  need(12);
+  if (String.fromCharCode(...new Uint8Array(buffer, 0, 4)) !== "ASEF") {
+    throw new Error("Not an Adobe Swatch Exchange file (missing the ASEF signature)");
   }
+  const blockCount = view.getUint32(8);
+  offset = 12;
+
+  const groups = {};
+  let group = "colors";
+  for (let block = 0; block < blockCount; block++) {
+    need(6);
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    offset += 6;
+    const end = offset + length;
+    if (end > view.byteLength) throw truncated;
+
+    if (type === 0xc001) {
+      group = readString() || "colors";
+    } else if (type === 0xc002) {
+      group = "colors";
+    } else if (type === 0x0001) {
+      const name = readString();
+      need(4);
+      const model = String.fromCharCode(...new Uint8Array(buffer, offset, 4)).trim();
+      offset += 4;
+      const count = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model];
+      if (!count) {
+        warnings.push(`${name || `Swatch ${block + 1}`}: unsupported color model ${model}`);
+      } else {
+        need(count * 4);
+        const values = Array.from({ length: count }, (_, i) => view.getFloat32(offset + i * 4));
+        const channels = {
+          RGB: () => values,
+          CMYK: () => values.slice(0, 3).map((c) => (1 - c) * (1 - values[3])),
+          Gray: () => [values[0], values[0], values[0]],
+        }[model];
+        const hex = channels
+          ? `#${channels().map((c) => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, "0")).join("").toUpperCase()}`
+          : aseLabToHex(...values);
+        addSwatch(groups, group, name, hex);
+      }
+    }
+    offset = end;
+  }
+  return { name: null, groups };
+}
 
-  const tokenLabel = document.createElement("div");
-  tokenLabel.className = "section-label";
-  tokenLabel.textContent = "Tokens";
-  sidebar.appendChild(tokenLabel);
+const PALETTE_PARSERS = {
+  ".json": { binary: false, parse: parsePaletteJson },
+  ".css": { binary: false, parse: parsePaletteCss },
+  ".gpl": { binary: false, parse: parseGimpPalette },
+  ".ase": { binary: true, parse: parseAsePalette },
+};
 
-  for (const cat of TOKEN_CATEGORIES) {
-    sidebar.appendChild(createTokenRow(cat.id, cat.label));
+// Reads a palette file into { name, groups, warnings } without adding it to the library
+async function loadPaletteFile(file) {
+  const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+  const parser = PALETTE_PARSERS[extension];
+  if (!parser) {
+    throw new Error(`Unsupported palette file type "${extension}"; expected ${Object.keys(PALETTE_PARSERS).join(", ")}`);
   }
+  const warnings = [];
+  const { name, groups } = parser.parse(await (parser.binary ? file.arrayBuffer() : file.text()), warnings);
+  if (Object.keys(groups).length === 0) throw new Error("No colors found in the palette file");
+  return { name: name || file.name.replace(/\.[^.]+$/, ""), groups, warnings };
 }
 
-function createTokenRow(id, label) {
-  const row = document.createElement("div");
-  row.className = "token-row";
-
-  const labelEl = document.createElement("span");
-  labelEl.className = "token-label";
-  labelEl.textContent = label;
+// --- Palette references ---
 
-  const btn = document.createElement("button");
-  btn.className = "color-btn";
-  btn.style.backgroundColor = state[id];
-  btn.dataset.targetId = id;
-  btn.addEventListener("click", (e) => openPopover(e, id));
+// A color picked from a palette is remembered as "palette:group.name" (e.g.
+// "arcadia:primary.aegean") in variant.paletteRefs, keyed by target id. The stored hex
+// stays the fallback that builders read and the only value a custom color has;
+// re-syncing re-reads every reference from its own palette so brand revisions reach
+// saved themes. References from before palette ids ("group.name") are the built-in
+// palette's.
 
-  const nameEl = document.createElement("span");
-  nameEl.className = "color-name";
-  nameEl.id = `name-${id}`;
-  nameEl.textContent = colorName(state[id]);
+function paletteRef(paletteId, group, name) {
+  return `${paletteId}:${group}.${name}`;
+}
 
-  row.appendChild(labelEl);
-  row.appendChild(btn);
+function parsePaletteRef(ref) {
+  const colon = ref.indexOf(":");
+  if (colon === -1) return { paletteId: BUILT_IN_PALETTE_ID, swatch: ref };
+  return { paletteId: ref.slice(0, colon), swatch: ref.slice(colon + 1) };
+}
 
-  if (styleState[id]) {
-    const toggles = document.createElement("div");
-    toggles.className = "style-toggles";
+// The swatch a reference points at, or null when its palette or the swatch is gone
+function resolvePaletteRef(ref) {
+  const { paletteId, swatch } = parsePaletteRef(ref);
+  const palette = findPalette(paletteId);
+  if (!palette) return null;
+  for (const [group, colors] of Object.entries(palette.groups)) {
+    const color = colors.find((c) => `${group}.${c.name}` === swatch);
+    if (color) return color;
+  }
+  return null;
+}
 
-    const boldBtn = document.createElement("button");
-    boldBtn.className = "style-toggle style-toggle-bold";
-    if (styleState[id].bold) boldBtn.classList.add("active");
-    boldBtn.textContent = "B";
-    boldBtn.addEventListener("click", () => {
-      styleState[id].bold = !styleState[id].bold;
-      boldBtn.classList.toggle("active");
-      renderPreview();
-    });
+function paletteRefLabel(ref) {
+  const { paletteId, swatch } = parsePaletteRef(ref);
+  return `${findPalette(paletteId)?.name || "Deleted palette"} \u00b7 ${swatch}`;
+}
 
-    const italicBtn = document.createElement("button");
-    italicBtn.className = "style-toggle style-toggle-italic";
-    if (styleState[id].italic) italicBtn.classList.add("active");
-    italicBtn.textContent = "I";
-    italicBtn.addEventListener("click", () => {
-      styleState[id].italic = !styleState[id].italic;
-      italicBtn.classList.toggle("active");
-      renderPreview();
-    });
+// The first swatch with exactly this hex; links colors that arrive without a reference
+function paletteRefForHex(hex, palette = activePalette()) {
+  if (!hex) return null;
+  const upper = hex.toUpperCase();
+  for (const [group, colors] of Object.entries(palette.groups)) {
+    const color = colors.find((c) => c.hex.toUpperCase() === upper);
+    if (color) return paletteRef(palette.id, group, color.name);
+  }
+  return null;
+}
 
-    toggles.appendChild(boldBtn);
-    toggles.appendChild(italicBtn);
-    row.appendChild(toggles);
+// The explicitly stored color of a target, or null where it is derived (auto UI and
+// Pandoc colors) or gone (a deleted rule). Works on live variants and saved snapshots.
+function storedTargetColor(variant, targetId) {
+  if (targetId.startsWith(RULE_TARGET_PREFIX)) {
+    const id = targetId.slice(RULE_TARGET_PREFIX.length);
+    return variant.customRules.find((rule) => rule.id === id)?.color ?? null;
+  }
+  if (targetId.startsWith(UI_COLOR_TARGET_PREFIX)) {
+    return variant.uiColors[targetId.slice(UI_COLOR_TARGET_PREFIX.length)] ?? null;
+  }
+  if (targetId.startsWith(PANDOC_TARGET_PREFIX)) {
+    const [key, field] = targetId.slice(PANDOC_TARGET_PREFIX.length).split(":");
+    return (field ? variant.pandoc.tokens[key]?.[field] : variant.pandoc[key]) ?? null;
   }
+  return variant.state[targetId] ?? null;
+}
 
-  row.appendChild(nameEl);
-  return row;
+function storeTargetColor(variant, targetId, hex) {
+  if (targetId.startsWith(RULE_TARGET_PREFIX)) {
+    const id = targetId.slice(RULE_TARGET_PREFIX.length);
+    const rule = variant.customRules.find((r) => r.id === id);
+    if (rule) rule.color = hex;
+  } else if (targetId.startsWith(UI_COLOR_TARGET_PREFIX)) {
+    variant.uiColors[targetId.slice(UI_COLOR_TARGET_PREFIX.length)] = hex;
+  } else if (targetId.startsWith(PANDOC_TARGET_PREFIX)) {
+    setPandocTargetColor(variant, targetId, hex);
+  } else {
+    variant.state[targetId] = hex;
+  }
 }
 
-// --- Popover ---
+// Every target that holds its own color
+function storedTargetIds(variant) {
+  const ids = [...GLOBAL_SETTINGS, ...TOKEN_CATEGORIES].map((t) => t.id);
+  ids.push(...variant.customRules.map((rule) => `${RULE_TARGET_PREFIX}${rule.id}`));
+  ids.push(...Object.keys(variant.uiColors).map((key) => `${UI_COLOR_TARGET_PREFIX}${key}`));
+  for (const key of ["lineNumberColor", "lineNumberBackground"]) {
+    if (variant.pandoc[key]) ids.push(`${PANDOC_TARGET_PREFIX}${key}`);
+  }
+  for (const [token, style] of Object.entries(variant.pandoc.tokens)) {
+    for (const field of ["color", "background"]) {
+      if (style[field]) ids.push(`${PANDOC_TARGET_PREFIX}${token}:${field}`);
+    }
+  }
+  return ids;
+}
 
-function openPopover(e, targetId) {
-  const popover = document.getElementById("popover");
+function setPaletteRef(variant, targetId, ref) {
+  if (ref) variant.paletteRefs[targetId] = ref;
+  else delete variant.paletteRefs[targetId];
+}
 
-  if (activePopoverTarget === targetId) {
-    closePopover();
-    return;
+// Links every stored color that matches a swatch exactly, for imported files and
+// sessions saved before palette references existed
+function inferPaletteRefs(variant) {
+  const refs = {};
+  for (const targetId of storedTargetIds(variant)) {
+    const ref = paletteRefForHex(storedTargetColor(variant, targetId));
+    if (ref) refs[targetId] = ref;
   }
+  return refs;
+}
 
-  activePopoverTarget = targetId;
-  popover.innerHTML = "";
+// The palette name of a target's color, flagged when the palette has since changed it
+function targetColorName(targetId, variant = activeVariant()) {
+  const hex = storedTargetColor(variant, targetId);
+  const color = hex && variant.paletteRefs[targetId] ? resolvePaletteRef(variant.paletteRefs[targetId]) : null;
+  if (!color) return colorName(hex || getTargetColor(targetId));
+  return color.hex.toUpperCase() === hex.toUpperCase() ? color.name : `${color.name} (out of sync)`;
+}
 
-  for (const [groupName, colors] of Object.entries(PALETTE)) {
-    const groupLabel = document.createElement("div");
-    groupLabel.className = "palette-group-label";
-    groupLabel.textContent = groupName;
-    popover.appendChild(groupLabel);
+// Re-reads the variant's references from their palettes and returns what changed:
+// [{ targetId, ref, from, to }], with `to` null when the ref no longer resolves
+function resyncVariant(variant) {
+  const changes = [];
+  for (const [targetId, ref] of Object.entries(variant.paletteRefs)) {
+    const current = storedTargetColor(variant, targetId);
+    if (!current) {
+      delete variant.paletteRefs[targetId];
+      continue;
+    }
+    const color = resolvePaletteRef(ref);
+    if (!color) {
+      changes.push({ targetId, ref, from: current, to: null });
+    } else if (color.hex.toUpperCase() !== current.toUpperCase()) {
+      storeTargetColor(variant, targetId, color.hex);
+      changes.push({ targetId, ref, from: current, to: color.hex });
+    }
+  }
+  return changes;
+}
 
-    const grid = document.createElement("div");
-    grid.className = "palette-grid";
+function resyncTargetLabel(variant, targetId) {
+  if (!targetId.startsWith(RULE_TARGET_PREFIX)) return targetLabel(targetId);
+  const id = targetId.slice(RULE_TARGET_PREFIX.length);
+  return `Rule ${variant.customRules.find((rule) => rule.id === id)?.scope || "(empty)"}`;
+}
 
-    for (const color of colors) {
-      const swatch = document.createElement("button");
-      swatch.className = "swatch";
-      if (color.hex.toUpperCase() === state[targetId].toUpperCase()) {
-        swatch.classList.add("selected");
-      }
-      swatch.style.backgroundColor = color.hex;
-      swatch.dataset.tooltip = `${color.name} (${color.hex})`;
-      swatch.addEventListener("click", () => selectColor(targetId, color.hex));
-      grid.appendChild(swatch);
+// Re-syncs the open project and every saved theme; returns one report row per change,
+// with `open` set for the project being edited. Without `apply` nothing is changed, so
+// the report can be confirmed before the saved themes are rewritten.
+function resyncToPalette({ apply = false } = {}) {
+  const report = [];
+  const collect = (theme, variantId, variant, open = false) => {
+    for (const change of resyncVariant(variant)) {
+      report.push({ theme, variantId, open, label: resyncTargetLabel(variant, change.targetId), ...change });
     }
+  };
 
-    popover.appendChild(grid);
+  for (const v of VARIANTS) {
+    const variant = project.variants[v.id];
+    collect(`${themeName()} (open)`, v.id, apply ? variant : structuredClone(variant), true);
   }
 
-  const customRow = document.createElement("div");
-  customRow.className = "custom-color-row";
+  // loadLibrary() returns fresh copies, so they're only kept when saved
+  const themes = loadLibrary();
+  for (const entry of themes) {
+    for (const v of VARIANTS) collect(entry.name, v.id, entry.snapshot.variants[v.id]);
+  }
+  if (apply && report.some((change) => !change.open && change.to)) saveLibrary(themes);
+  return report;
+}
 
-  const customInput = document.createElement("input");
-  customInput.type = "color";
-  customInput.className = "custom-color-input";
-  customInput.value = state[targetId];
-  customInput.addEventListener("input", (ev) => selectColor(targetId, ev.target.value));
+// --- Light/dark variants ---
+
+function activeVariant() {
+  return project.variants[project.active];
+}
+
+function switchVariant(variantId) {
+  project.active = variantId;
+  state = project.variants[variantId].state;
+  styleState = project.variants[variantId].styleState;
+  closePopover();
+  renderSidebar();
+  renderPreview();
+}
+
+function paletteColorByName(name) {
+  return paletteColors().find((c) => c.name === name) || null;
+}
+
+// Backgrounds only swap to their palette counterpart; text colors also need contrast
+function paletteCounterpart(hex) {
+  return paletteColorByName(DARK_COUNTERPARTS[colorName(hex)])?.hex || hex;
+}
+
+function darkCounterpart(hex, background) {
+  const candidate = paletteCounterpart(hex);
+  if (contrastRatio(candidate, background) >= WCAG_AA) return candidate;
+  return suggestPassingColor(candidate, background)?.hex || candidate;
+}
+
+function deriveDarkVariant() {
+  const light = project.variants.light;
+  const dark = project.variants.dark;
+  const background = isLightBackground(light.state.background)
+    ? DARK_BACKGROUND
+    : light.state.background;
+
+  dark.state.background = background;
+  for (const [id, hex] of Object.entries(light.state)) {
+    if (id === "background") continue;
+    dark.state[id] = darkCounterpart(hex, background);
+  }
+  for (const [id, style] of Object.entries(light.styleState)) {
+    dark.styleState[id] = { ...style };
+  }
+  dark.customRules = light.customRules.map((rule) => ({
+    ...rule,
+    color: darkCounterpart(rule.color, background),
+  }));
+  // Workbench colors are mostly backgrounds, so let them re-derive from the new tokens
+  dark.uiColors = {};
+  dark.pandoc = {
+    tokens: Object.fromEntries(
+      Object.entries(light.pandoc.tokens).map(([token, style]) => [
+        token,
+        {
+          ...style,
+          color: style.color && darkCounterpart(style.color, background),
+          background: style.background && paletteCounterpart(style.background),
+        },
+      ])
+    ),
+    lineNumberColor: light.pandoc.lineNumberColor && darkCounterpart(light.pandoc.lineNumberColor, background),
+    lineNumberBackground: light.pandoc.lineNumberBackground && paletteCounterpart(light.pandoc.lineNumberBackground),
+  };
+  dark.paletteRefs = inferPaletteRefs(dark);
+}
+
+function findRule(targetId) {
+  const id = targetId.slice(RULE_TARGET_PREFIX.length);
+  return activeVariant().customRules.find((rule) => rule.id === id);
+}
+
+// Live preview: the stylesheet reads these custom properties from #preview-output
+function applyTypography() {
+  const { style } = document.getElementById("preview-output");
+  const typography = project.typography;
+  style.setProperty("--code-font-family", cssFontStack(typography));
+  style.setProperty("--code-font-size", `${typography.fontSize}px`);
+  style.setProperty("--code-line-height", String(typography.lineHeight));
+  style.setProperty("--code-letter-spacing", `${typography.letterSpacing}px`);
+  style.setProperty("--code-ligatures", typography.ligatures ? "normal" : "none");
+}
+
+function getTargetColor(targetId) {
+  if (targetId.startsWith(RULE_TARGET_PREFIX)) return findRule(targetId)?.color;
+  if (targetId.startsWith(PANDOC_TARGET_PREFIX)) return pandocTargetColor(activeVariant(), targetId);
+  if (targetId.startsWith(UI_COLOR_TARGET_PREFIX)) {
+    return uiColor(activeVariant(), targetId.slice(UI_COLOR_TARGET_PREFIX.length));
+  }
+  return state[targetId];
+}
+
+function setTargetColor(targetId, hex) {
+  storeTargetColor(activeVariant(), targetId, hex);
+}
+
+// --- Undo/redo history ---
+
+const HISTORY_LIMIT = 100;
+
+// Each entry holds the project as it was right after the labelled edit
+const history = {
+  entries: [],
+  index: -1,
+};
+
+function snapshotProject() {
+  return {
+    name: document.getElementById("theme-name").value,
+    metadata: { ...project.metadata },
+    variants: Object.fromEntries(
+      VARIANTS.map((v) => [
+        v.id,
+        {
+          state: { ...project.variants[v.id].state },
+          styleState: structuredClone(project.variants[v.id].styleState),
+          customRules: structuredClone(project.variants[v.id].customRules),
+          uiColors: { ...project.variants[v.id].uiColors },
+          pandoc: structuredClone(project.variants[v.id].pandoc),
+          paletteRefs: { ...project.variants[v.id].paletteRefs },
+        },
+      ])
+    ),
+    typography: { ...project.typography },
+  };
+}
+
+// Restores in place so the `state`/`styleState` bindings stay valid
+function restoreProject(snapshot) {
+  document.getElementById("theme-name").value = snapshot.name;
+  project.metadata = normalizeMetadata(snapshot.metadata);
+  for (const v of VARIANTS) {
+    const variant = project.variants[v.id];
+    Object.assign(variant.state, snapshot.variants[v.id].state);
+    for (const [id, style] of Object.entries(snapshot.variants[v.id].styleState)) {
+      variant.styleState[id] = { ...style };
+    }
+    variant.customRules = structuredClone(snapshot.variants[v.id].customRules || []);
+    variant.uiColors = { ...snapshot.variants[v.id].uiColors };
+    variant.pandoc = structuredClone(snapshot.variants[v.id].pandoc || createPandocSettings());
+    const refs = snapshot.variants[v.id].paletteRefs;
+    variant.paletteRefs = refs ? { ...refs } : inferPaletteRefs(variant);
+  }
+  project.typography = normalizeTypography(snapshot.typography);
+}
+
+// Consecutive edits sharing a coalesce key (e.g. dragging the custom color input)
+// collapse into a single entry
+function recordHistory(label, coalesceKey = null) {
+  const top = history.entries[history.index];
+  if (coalesceKey && top?.coalesceKey === coalesceKey && history.index === history.entries.length - 1) {
+    top.label = label;
+    top.snapshot = snapshotProject();
+    saveSession();
+    renderHistory();
+    return;
+  }
+
+  history.entries.splice(history.index + 1);
+  history.entries.push({ label, coalesceKey, snapshot: snapshotProject() });
+  if (history.entries.length > HISTORY_LIMIT) history.entries.shift();
+  history.index = history.entries.length - 1;
+  saveSession();
+  renderHistory();
+}
+
+// Ends the current run of coalescing edits, so the next edit with the same key (e.g. a
+// second drag on the same color) gets its own entry
+function endHistoryCoalescing() {
+  const top = history.entries[history.index];
+  if (top) top.coalesceKey = null;
+}
+
+// --- Persistence (autosave and saved themes) ---
+
+function readStorage(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage may be full or disabled; the session just won't survive a reload
+  }
+}
+
+function saveSession() {
+  writeStorage(SESSION_STORAGE_KEY, snapshotProject());
+}
+
+// Stored snapshots may come from an older version or be damaged, so they go through
+// normalizeTheme before restoreProject sees them. Throws when there is no theme at all.
+function storedSnapshot(snapshot) {
+  const theme = normalizeTheme(snapshot);
+  for (const v of VARIANTS) {
+    if (!snapshot.variants?.[v.id]?.paletteRefs) {
+      theme.variants[v.id].paletteRefs = inferPaletteRefs(theme.variants[v.id]);
+    }
+  }
+  return theme;
+}
+
+function restoreSession() {
+  const snapshot = readStorage(SESSION_STORAGE_KEY, null);
+  if (!snapshot) return;
+  try {
+    restoreProject(storedSnapshot(snapshot));
+  } catch {
+    // Not a theme; start from the defaults
+  }
+}
+
+// Entries that can't be read are left out rather than breaking the whole library
+function loadLibrary() {
+  const themes = readStorage(LIBRARY_STORAGE_KEY, []);
+  if (!Array.isArray(themes)) return [];
+  return themes.flatMap((entry) => {
+    if (typeof entry?.id !== "string" || typeof entry.name !== "string") return [];
+    try {
+      return [{ ...entry, snapshot: storedSnapshot(entry.snapshot) }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function saveLibrary(themes) {
+  writeStorage(LIBRARY_STORAGE_KEY, themes);
+}
+
+// Saving under an existing name overwrites that entry
+function saveToLibrary() {
+  const snapshot = snapshotProject();
+  const name = snapshot.name || "arcadia";
+  const themes = loadLibrary();
+  const existing = themes.find((t) => t.name === name);
+  if (existing) {
+    existing.snapshot = snapshot;
+    existing.savedAt = Date.now();
+  } else {
+    themes.push({ id: crypto.randomUUID(), name, savedAt: Date.now(), snapshot });
+  }
+  saveLibrary(themes);
+}
+
+function openFromLibrary(id) {
+  const entry = loadLibrary().find((t) => t.id === id);
+  if (!entry) return;
+  restoreProject({ ...entry.snapshot, name: entry.name });
+  recordHistory(`Open ${entry.name}`);
+  closePopover();
+  renderSidebar();
+  renderPreview();
+}
+
+function renameInLibrary(id, name) {
+  const themes = loadLibrary();
+  const entry = themes.find((t) => t.id === id);
+  if (!entry || !name) return;
+  entry.name = name;
+  entry.snapshot.name = name;
+  saveLibrary(themes);
+}
+
+function duplicateInLibrary(id) {
+  const themes = loadLibrary();
+  const index = themes.findIndex((t) => t.id === id);
+  if (index === -1) return;
+  const copy = structuredClone(themes[index]);
+  copy.id = crypto.randomUUID();
+  copy.name = `${copy.name}-copy`;
+  copy.snapshot.name = copy.name;
+  copy.savedAt = Date.now();
+  themes.splice(index + 1, 0, copy);
+  saveLibrary(themes);
+}
+
+function deleteFromLibrary(id) {
+  saveLibrary(loadLibrary().filter((t) => t.id !== id));
+}
+
+// --- Share links ---
+
+// Bump when the encoded layout changes (e.g. TOKEN_CATEGORIES order or length)
+const SHARE_LINK_VERSION = 1;
+const SHARE_LINK_PREFIX = "#theme=";
+
+function shareLinkColorIds() {
+  return [...GLOBAL_SETTINGS, ...TOKEN_CATEGORIES].map((t) => t.id);
+}
+
+// FNV-1a, used to detect truncated or mangled links
+function fnv1a(bytes) {
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+// Layout: version, name length, UTF-8 name, then per variant the RGB bytes of every
+// color and bold/italic bits for each category, then per variant the custom rules
+// (count, then scope length, UTF-8 scope, RGB, style flags, Pandoc token index + 1),
+// then per variant the UI color overrides (count, then UI_COLORS index and RGB),
+// then per variant the Pandoc settings (line-number flags and RGBs, token count, then
+// ALL_PANDOC_TOKENS index, flags and the RGBs the flags announce), then the typography,
+// then per variant the palette references (palette id count and ids, reference count
+// as 2 bytes, then target, palette index and swatch; rule targets use the rule's
+// position since rule ids aren't encoded), then the metadata fields (2-byte length and
+// UTF-8 text each, in createMetadata() order), then a 4-byte checksum
+function encodeShareLink(snapshot) {
+  const encoder = new TextEncoder();
+  const name = encoder.encode(snapshot.name).slice(0, 255);
+  const bytes = [SHARE_LINK_VERSION, name.length, ...name];
+
+  for (const v of VARIANTS) {
+    const variant = snapshot.variants[v.id];
+    for (const id of shareLinkColorIds()) {
+      bytes.push(...hexToRgb(variant.state[id]).map((c) => c || 0));
+    }
+    const styleBytes = new Array(Math.ceil((TOKEN_CATEGORIES.length * 2) / 8)).fill(0);
+    TOKEN_CATEGORIES.forEach((cat, i) => {
+      const style = variant.styleState[cat.id];
+      if (style.bold) styleBytes[(i * 2) >> 3] |= 1 << ((i * 2) & 7);
+      if (style.italic) styleBytes[(i * 2 + 1) >> 3] |= 1 << ((i * 2 + 1) & 7);
+    });
+    bytes.push(...styleBytes);
+  }
+
+  for (const v of VARIANTS) {
+    const rules = (snapshot.variants[v.id].customRules || []).slice(0, 255);
+    bytes.push(rules.length);
+    for (const rule of rules) {
+      const scope = encoder.encode(rule.scope).slice(0, 255);
+      bytes.push(scope.length, ...scope);
+      bytes.push(...hexToRgb(rule.color).map((c) => c || 0));
+      bytes.push((rule.bold ? 1 : 0) | (rule.italic ? 2 : 0));
+      bytes.push(rule.pandocToken ? ALL_PANDOC_TOKENS.indexOf(rule.pandocToken) + 1 : 0);
+    }
+  }
+
+  for (const v of VARIANTS) {
+    const overrides = Object.entries(snapshot.variants[v.id].uiColors || {})
+      .map(([key, hex]) => [UI_COLORS.findIndex((def) => def.key === key), hex])
+      .filter(([index]) => index !== -1);
+    bytes.push(overrides.length);
+    for (const [index, hex] of overrides) {
+      bytes.push(index, ...hexToRgb(hex).map((c) => c || 0));
+    }
+  }
+
+  const rgb = (hex) => hexToRgb(hex).map((c) => c || 0);
+  for (const v of VARIANTS) {
+    const pandoc = snapshot.variants[v.id].pandoc || createPandocSettings();
+    bytes.push((pandoc.lineNumberColor ? 1 : 0) | (pandoc.lineNumberBackground ? 2 : 0));
+    if (pandoc.lineNumberColor) bytes.push(...rgb(pandoc.lineNumberColor));
+    if (pandoc.lineNumberBackground) bytes.push(...rgb(pandoc.lineNumberBackground));
+
+    const tokens = Object.entries(pandoc.tokens).filter(([token]) => ALL_PANDOC_TOKENS.includes(token));
+    bytes.push(tokens.length);
+    for (const [token, style] of tokens) {
+      bytes.push(
+        ALL_PANDOC_TOKENS.indexOf(token),
+        (style.color ? 1 : 0) | (style.background ? 2 : 0) | (style.bold ? 4 : 0) |
+          (style.italic ? 8 : 0) | (style.underline ? 16 : 0)
+      );
+      if (style.color) bytes.push(...rgb(style.color));
+      if (style.background) bytes.push(...rgb(style.background));
+    }
+  }
+
+  const typography = normalizeTypography(snapshot.typography);
+  const family = encoder.encode(typography.fontFamily).slice(0, 255);
+  bytes.push(
+    family.length,
+    ...family,
+    typography.fontSize,
+    Math.round(typography.lineHeight * 20),
+    Math.round(typography.letterSpacing * 10) + 128,
+    typography.ligatures ? 1 : 0
+  );
+
+  const text = (value) => {
+    const encoded = encoder.encode(value).slice(0, 255);
+    return [encoded.length, ...encoded];
+  };
+  for (const v of VARIANTS) {
+    const variant = snapshot.variants[v.id];
+    const ruleIds = (variant.customRules || []).slice(0, 255).map((rule) => rule.id);
+    const paletteIds = [];
+    const refs = [];
+    for (const [targetId, ref] of Object.entries(variant.paletteRefs || {})) {
+      let target = targetId;
+      if (targetId.startsWith(RULE_TARGET_PREFIX)) {
+        const index = ruleIds.indexOf(targetId.slice(RULE_TARGET_PREFIX.length));
+        if (index === -1) continue;
+        target = `${RULE_TARGET_PREFIX}${index}`;
+      }
+      const { paletteId, swatch } = parsePaletteRef(ref);
+      if (!paletteIds.includes(paletteId)) paletteIds.push(paletteId);
+      refs.push([target, paletteIds.indexOf(paletteId), swatch]);
+    }
+    bytes.push(paletteIds.length);
+    for (const id of paletteIds) bytes.push(...text(id));
+    bytes.push(refs.length >> 8, refs.length & 0xff);
+    for (const [target, paletteIndex, swatch] of refs) {
+      bytes.push(...text(target), paletteIndex, ...text(swatch));
+    }
+  }
+
+  const metadata = normalizeMetadata(snapshot.metadata);
+  for (const key of Object.keys(metadata)) {
+    const value = encoder.encode(metadata[key]).slice(0, 0xffff);
+    bytes.push(value.length >> 8, value.length & 0xff, ...value);
+  }
+
+  const hash = fnv1a(bytes);
+  bytes.push(hash >>> 24, (hash >>> 16) & 0xff, (hash >>> 8) & 0xff, hash & 0xff);
+  return bytesToBase64Url(bytes);
+}
+
+function decodeShareLink(text) {
+  let bytes;
+  try {
+    bytes = base64UrlToBytes(text);
+  } catch {
+    throw new Error("The theme link is not valid: it contains characters outside the link alphabet.");
+  }
+
+  const truncated = new Error("The theme link is truncated or damaged. Ask for the full link again.");
+  if (bytes.length < 6) throw truncated;
+
+  if (bytes[0] !== SHARE_LINK_VERSION) {
+    throw new Error(`The theme link uses format version ${bytes[0]}, which this page does not support.`);
+  }
+
+  const body = bytes.slice(0, -4);
+  const tail = bytes.slice(-4);
+  const expected = ((tail[0] << 24) | (tail[1] << 16) | (tail[2] << 8) | tail[3]) >>> 0;
+  if (fnv1a(body) !== expected) throw truncated;
+
+  let offset = 1;
+  const take = (n) => {
+    if (offset + n > body.length) throw truncated;
+    const out = body.slice(offset, offset + n);
+    offset += n;
+    return out;
+  };
+  const toHex = (rgb) => "#" + Array.from(rgb, (c) => c.toString(16).padStart(2, "0")).join("");
+  const decoder = new TextDecoder();
+
+  const name = decoder.decode(take(take(1)[0]));
+  const styleLength = Math.ceil((TOKEN_CATEGORIES.length * 2) / 8);
+
+  const variants = {};
+  for (const v of VARIANTS) {
+    const state = {};
+    for (const id of shareLinkColorIds()) {
+      state[id] = toHex(take(3));
+    }
+    const styleBits = take(styleLength);
+    const styleState = {};
+    TOKEN_CATEGORIES.forEach((cat, i) => {
+      styleState[cat.id] = {
+        bold: !!(styleBits[(i * 2) >> 3] & (1 << ((i * 2) & 7))),
+        italic: !!(styleBits[(i * 2 + 1) >> 3] & (1 << ((i * 2 + 1) & 7))),
+      };
+    });
+    variants[v.id] = { state, styleState, customRules: [], uiColors: {}, pandoc: createPandocSettings(), paletteRefs: {} };
+  }
+
+  for (const v of VARIANTS) {
+    const count = take(1)[0];
+    for (let i = 0; i < count; i++) {
+      const scope = decoder.decode(take(take(1)[0]));
+      const color = toHex(take(3));
+      const [flags, tokenIndex] = take(2);
+      variants[v.id].customRules.push({
+        id: crypto.randomUUID(),
+        scope,
+        color,
+        bold: !!(flags & 1),
+        italic: !!(flags & 2),
+        pandocToken: ALL_PANDOC_TOKENS[tokenIndex - 1] || null,
+      });
+    }
+  }
+
+  for (const v of VARIANTS) {
+    const count = take(1)[0];
+    for (let i = 0; i < count; i++) {
+      const [index] = take(1);
+      const color = toHex(take(3));
+      if (UI_COLORS[index]) variants[v.id].uiColors[UI_COLORS[index].key] = color;
+    }
+  }
+
+  for (const v of VARIANTS) {
+    const pandoc = variants[v.id].pandoc;
+    const [lineFlags] = take(1);
+    if (lineFlags & 1) pandoc.lineNumberColor = toHex(take(3));
+    if (lineFlags & 2) pandoc.lineNumberBackground = toHex(take(3));
+    const count = take(1)[0];
+    for (let i = 0; i < count; i++) {
+      const [index, flags] = take(2);
+      const style = {
+        color: flags & 1 ? toHex(take(3)) : null,
+        background: flags & 2 ? toHex(take(3)) : null,
+        bold: !!(flags & 4),
+        italic: !!(flags & 8),
+        underline: !!(flags & 16),
+      };
+      if (ALL_PANDOC_TOKENS[index]) pandoc.tokens[ALL_PANDOC_TOKENS[index]] = style;
+    }
+  }
+
+  const fontFamily = decoder.decode(take(take(1)[0]));
+  const [fontSize, lineHeight, letterSpacing, flags] = take(4);
+  const typography = normalizeTypography({
+    fontFamily,
+    fontSize,
+    lineHeight: lineHeight / 20,
+    letterSpacing: (letterSpacing - 128) / 10,
+    ligatures: !!(flags & 1),
+  });
+
+  for (const v of VARIANTS) {
+    const variant = variants[v.id];
+    const paletteIds = Array.from({ length: take(1)[0] }, () => decoder.decode(take(take(1)[0])));
+    const [high, low] = take(2);
+    for (let i = 0; i < ((high << 8) | low); i++) {
+      let target = decoder.decode(take(take(1)[0]));
+      const paletteId = paletteIds[take(1)[0]];
+      const swatch = decoder.decode(take(take(1)[0]));
+      if (target.startsWith(RULE_TARGET_PREFIX)) {
+        const rule = variant.customRules[Number(target.slice(RULE_TARGET_PREFIX.length))];
+        if (!rule) continue;
+        target = `${RULE_TARGET_PREFIX}${rule.id}`;
+      }
+      if (paletteId !== undefined) variant.paletteRefs[target] = `${paletteId}:${swatch}`;
+    }
+  }
+
+  const metadata = createMetadata();
+  for (const key of Object.keys(metadata)) {
+    const [high, low] = take(2);
+    metadata[key] = decoder.decode(take((high << 8) | low));
+  }
+
+  if (offset !== body.length) throw truncated;
+  return { name, metadata, variants, typography };
+}
+
+function shareLinkUrl() {
+  return `${location.origin}${location.pathname}${SHARE_LINK_PREFIX}${encodeShareLink(snapshotProject())}`;
+}
+
+// Returns true when the page was opened from a share link
+function restoreFromShareLink() {
+  if (!location.hash.startsWith(SHARE_LINK_PREFIX)) return false;
+  try {
+    restoreProject(decodeShareLink(location.hash.slice(SHARE_LINK_PREFIX.length)));
+    showNotice("Loaded theme from link.", "info");
+    return true;
+  } catch (err) {
+    showNotice(err.message, "error");
+    return false;
+  } finally {
+    window.history.replaceState(null, "", location.pathname + location.search);
+  }
+}
+
+async function copyShareLink() {
+  try {
+    await navigator.clipboard.writeText(shareLinkUrl());
+    showNotice("Link copied to the clipboard.", "info");
+  } catch {
+    showNotice("Could not access the clipboard. Copy the link from the address bar instead.", "error");
+    window.history.replaceState(null, "", shareLinkUrl());
+  }
+}
+
+// --- Notices ---
+
+function showNotice(message, kind = "info") {
+  const notice = document.getElementById("notice");
+  notice.className = `notice notice-${kind}`;
+  notice.hidden = false;
+  document.getElementById("notice-message").textContent = message;
+}
+
+function hideNotice() {
+  document.getElementById("notice").hidden = true;
+}
+
+function jumpToHistory(index) {
+  if (index < 0 || index >= history.entries.length || index === history.index) return;
+  history.index = index;
+  restoreProject(history.entries[index].snapshot);
+  saveSession();
+  closePopover();
+  renderSidebar();
+  renderPreview();
+}
+
+function undo() {
+  jumpToHistory(history.index - 1);
+}
+
+function redo() {
+  jumpToHistory(history.index + 1);
+}
+
+function targetLabel(id) {
+  if (id.startsWith(RULE_TARGET_PREFIX)) return `Rule ${findRule(id)?.scope || "(empty)"}`;
+  if (id.startsWith(UI_COLOR_TARGET_PREFIX)) return `UI ${id.slice(UI_COLOR_TARGET_PREFIX.length)}`;
+  if (id.startsWith(PANDOC_TARGET_PREFIX)) return `Pandoc ${id.slice(PANDOC_TARGET_PREFIX.length).replace(":", " ")}`;
+  const target = [...GLOBAL_SETTINGS, ...TOKEN_CATEGORIES].find((t) => t.id === id);
+  return target ? target.label : id;
+}
+
+// --- Contrast checking (WCAG) ---
+
+const WCAG_AA = 4.5;
+const WCAG_AAA = 7;
+
+function contrastLevel(ratio) {
+  if (ratio >= WCAG_AAA) return "AAA";
+  if (ratio >= WCAG_AA) return "AA";
+  return "Fail";
+}
+
+function contrastTargets() {
+  return [
+    ...GLOBAL_SETTINGS.filter((setting) => setting.id !== "background"),
+    ...TOKEN_CATEGORIES,
+  ];
+}
+
+function contrastFailures() {
+  return contrastTargets().filter(
+    (target) => contrastRatio(state[target.id], state.background) < WCAG_AA
+  );
+}
+
+// Perceptually nearest palette color that passes AA against the background
+function suggestPassingColor(hex, background) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const color of paletteColors()) {
+    if (contrastRatio(color.hex, background) < WCAG_AA) continue;
+    const distance = deltaE(hex, color.hex);
+    if (distance < bestDistance) {
+      best = color;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// --- Color vision deficiency simulation ---
+
+const CVD_TYPES = [
+  { id: "protanopia", label: "Protanopia" },
+  { id: "deuteranopia", label: "Deuteranopia" },
+  { id: "tritanopia", label: "Tritanopia" },
+  { id: "achromatopsia", label: "Achromatopsia" },
+];
+
+// Machado, Oliveira & Fernandes (2009), severity 1.0, applied in linear RGB
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900],
+  ],
+};
+
+// CIE76 color difference below which two token colors are hard to tell apart
+const CVD_CONFUSION_THRESHOLD = 10;
+
+function simulateCvd(hex, type) {
+  const rgb = hexToLinearRgb(hex);
+  if (type === "achromatopsia") {
+    const y = relativeLuminance(hex);
+    return linearRgbToHex([y, y, y]);
+  }
+  const matrix = CVD_MATRICES[type];
+  if (!matrix) return hex;
+  return linearRgbToHex(matrix.map((row) => row[0] * rgb[0] + row[1] * rgb[1] + row[2] * rgb[2]));
+}
+
+function simulateShikiTheme(theme, type) {
+  const simulate = (value) => (value ? simulateCvd(value, type) : value);
+  return {
+    ...theme,
+    colors: Object.fromEntries(
+      Object.entries(theme.colors).map(([key, value]) => [key, simulate(value)])
+    ),
+    settings: theme.settings.map((entry) => ({
+      ...entry,
+      settings: {
+        ...entry.settings,
+        foreground: simulate(entry.settings.foreground),
+        background: simulate(entry.settings.background),
+      },
+    })),
+  };
+}
+
+function simulatePandocTheme(theme, type) {
+  const simulate = (value) => (value ? simulateCvd(value, type) : value);
+  return {
+    ...theme,
+    "text-color": simulate(theme["text-color"]),
+    "background-color": simulate(theme["background-color"]),
+    "line-number-color": simulate(theme["line-number-color"]),
+    "line-number-background-color": simulate(theme["line-number-background-color"]),
+    "text-styles": Object.fromEntries(
+      Object.entries(theme["text-styles"]).map(([token, style]) => [
+        token,
+        { ...style, "text-color": simulate(style["text-color"]), "background-color": simulate(style["background-color"]) },
+      ])
+    ),
+  };
+}
+
+function hexToLab(hex) {
+  const [r, g, b] = hexToLinearRgb(hex);
+  // sRGB -> XYZ (D65), normalized by the reference white
+  const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+  const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+function deltaE(a, b) {
+  const [l1, a1, b1] = hexToLab(a);
+  const [l2, a2, b2] = hexToLab(b);
+  return Math.sqrt((l1 - l2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+// Token pairs that are distinct in normal vision but collapse under the given CVD
+function confusableTokenPairs(type) {
+  const pairs = [];
+  for (let i = 0; i < TOKEN_CATEGORIES.length; i++) {
+    for (let j = i + 1; j < TOKEN_CATEGORIES.length; j++) {
+      const a = TOKEN_CATEGORIES[i];
+      const b = TOKEN_CATEGORIES[j];
+      if (deltaE(state[a.id], state[b.id]) < CVD_CONFUSION_THRESHOLD) continue;
+      const distance = deltaE(simulateCvd(state[a.id], type), simulateCvd(state[b.id], type));
+      if (distance < CVD_CONFUSION_THRESHOLD) pairs.push({ a, b, distance });
+    }
+  }
+  return pairs;
+}
+
+// --- Scope resolution ---
+
+// Mirrors TextMate precedence closely enough for inspection: the innermost scope
+// with any match wins, then the selector with the most segments, then the later rule.
+// Descendant selectors ("meta.function string") are matched on their last segment only.
+function resolveScopeStack(scopes, variant = activeVariant()) {
+  const candidates = [
+    ...TOKEN_CATEGORIES.flatMap((cat) => cat.tmScopes.map((selector) => ({ selector, category: cat }))),
+    ...activeRules(variant).flatMap((rule) => ruleScopes(rule).map((selector) => ({ selector, rule }))),
+  ];
+
+  for (let depth = scopes.length - 1; depth >= 0; depth--) {
+    let best = null;
+    let bestSegments = 0;
+    for (const candidate of candidates) {
+      const selector = candidate.selector.split(/\s+/).pop();
+      if (!scopeMatchesSelector(scopes[depth], selector)) continue;
+      const segments = selector.split(".").length;
+      if (segments >= bestSegments) {
+        best = candidate;
+        bestSegments = segments;
+      }
+    }
+    if (best) return { ...best, scope: scopes[depth] };
+  }
+  return null;
+}
+
+// --- Language detection (pasted snippets) ---
+
+const LANGUAGE_HINTS = {
+  python: [
+    /^\s*def \w+\(.*\)( -> .+)?:\s*$/m,
+    /^\s*(from [\w.]+ )?import [\w.]+/m,
+    /^\s*class \w+(\(.*\))?:\s*$/m,
+    /\bself\./,
+    /^\s*(elif|except|with)\b.*:\s*$/m,
+    /"""/,
+    /\b(None|True|False)\b/,
+  ],
+  r: [
+    /<-/,
+    /\blibrary\(/,
+    /%>%|\|>/,
+    /\bfunction\s*\(/,
+    /\w\$\w/,
+    /\b(TRUE|FALSE|NA|NULL)\b/,
+    /\bc\(/,
+  ],
+  julia: [
+    /^\s*function \w+.*\)\s*(::\s*\w+)?\s*$/m,
+    /^\s*end\s*$/m,
+    /::\s*[A-Z]\w*/,
+    /^\s*(using|module) \w+/m,
+    /^\s*(mutable )?struct \w+/m,
+    /\bprintln\(/,
+    /\$\(/,
+  ],
+  bash: [
+    /^#!.*\b(ba|z)?sh\b/,
+    /\$\{\w+/,
+    /^\s*(echo|export|fi|done|then|local)\b/m,
+    /\[\[.*\]\]/,
+    /^\s*\w+\(\)\s*\{/m,
+    /\s-{1,2}\w[\w-]*/,
+  ],
+  sql: [
+    /\bSELECT\b[\s\S]*\bFROM\b/i,
+    /\b(INSERT INTO|UPDATE \w+ SET|DELETE FROM|CREATE TABLE)\b/i,
+    /\bWHERE\b/i,
+    /\bJOIN\b/i,
+    /\b(GROUP|ORDER) BY\b/i,
+    /;\s*$/m,
+  ],
+  typescript: [
+    /\b(const|let)\s+\w+\s*(:\s*[\w<>[\]|]+)?\s*=/,
+    /\b(interface|type)\s+\w+/,
+    /=>/,
+    /\bimport .* from ["']/,
+    /:\s*(string|number|boolean|void)\b/,
+    /\bexport\b/,
+    /[{};]\s*$/m,
+  ],
+  yaml: [
+    /^[\w-]+:\s*$/m,
+    /^\s+[\w-]+:\s+\S/m,
+    /^\s*-\s+\S/m,
+    /^---\s*$/m,
+  ],
+};
+
+function detectLanguage(code) {
+  let best = CODE_SAMPLES[0].lang;
+  let bestScore = 0;
+  for (const sample of CODE_SAMPLES) {
+    const hints = LANGUAGE_HINTS[sample.lang] || [];
+    const score = hints.filter((re) => re.test(code)).length;
+    if (score > bestScore) {
+      best = sample.lang;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function snippetLanguage() {
+  if (previewState.snippetLang !== "auto") return previewState.snippetLang;
+  return detectLanguage(previewState.snippet);
+}
+
+function loadSnippet() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SNIPPET_STORAGE_KEY));
+    if (!saved) return;
+    previewState.source = saved.source === "snippet" ? "snippet" : "sample";
+    previewState.snippet = typeof saved.code === "string" ? saved.code : "";
+    if (saved.lang === "auto" || CODE_SAMPLES.some((s) => s.lang === saved.lang)) {
+      previewState.snippetLang = saved.lang;
+    }
+  } catch {
+    // Ignore unreadable storage and keep the defaults
+  }
+}
+
+function saveSnippet() {
+  try {
+    localStorage.setItem(
+      SNIPPET_STORAGE_KEY,
+      JSON.stringify({
+        source: previewState.source,
+        code: previewState.snippet,
+        lang: previewState.snippetLang,
+      })
+    );
+  } catch {
+    // Storage may be full or disabled; the snippet just won't survive a reload
+  }
+}
+
+// --- Skylighting emulation (Quarto preview) ---
+
+// Pandoc and Quarto highlight with Skylighting, which is built from the KDE syntax
+// definitions and classifies code differently from TextMate grammars. These rules
+// approximate those definitions for the sample languages: at each position the first
+// matching rule wins, a null token is plain text (NormalTok). A rule is either a
+// sticky regex or a function returning the [token, text] pieces it consumed.
+
+function skylightingWords(list, flags = "") {
+  return new RegExp(`(?:${list.join("|")})(?![\\w$!])`, `y${flags}`);
+}
+
+// A double-quoted shell string: text is a String, expansions inside it are Variables
+function bashQuotedString(code, start) {
+  if (code[start] !== '"') return null;
+  const pieces = [];
+  let text = '"';
+  let i = start + 1;
+  const flush = () => {
+    if (text) pieces.push(["String", text]);
+    text = "";
+  };
+  while (i < code.length && code[i] !== '"') {
+    if (code[i] === "\\") {
+      text += code.slice(i, i + 2);
+      i += 2;
+    } else if (code.startsWith("$(", i)) {
+      // Command substitution, with its own nested quotes
+      let depth = 0;
+      let end = i + 1;
+      let quote = null;
+      for (; end < code.length; end++) {
+        const ch = code[end];
+        if (quote) {
+          if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === "(") depth++;
+        else if (ch === ")" && --depth === 0) break;
+      }
+      flush();
+      pieces.push(["Other", code.slice(i, end + 1)]);
+      i = end + 1;
+    } else {
+      const variable = /\$(?:\{[^}]*\}|[A-Za-z_]\w*|[@#?$!*0-9-])/y;
+      variable.lastIndex = i;
+      const m = variable.exec(code);
+      if (m) {
+        flush();
+        pieces.push(["Variable", m[0]]);
+        i += m[0].length;
+      } else {
+        text += code[i++];
+      }
+    }
+  }
+  text += code[i] === '"' ? '"' : "";
+  flush();
+  return pieces;
+}
+
+const SKYLIGHTING_RULES = {
+  python: [
+    ["Comment", /#.*/y],
+    // Docstrings
+    ["Comment", /(?<=^[ \t]*)("""|''')[\s\S]*?\1/my],
+    ["String", /[rRbBuUfF]{0,2}("""|''')[\s\S]*?\1/y],
+    ["String", /[rRbBuUfF]{0,2}(["'])(?:\\.|(?!\1)[^\\\n])*\1/y],
+    ["Attribute", /@[\w.]+/y],
+    ["BaseN", /0[xXoObB][\da-fA-F_]+/y],
+    ["Float", /(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?|\d+[eE][+-]?\d+/y],
+    ["DecVal", /\d+/y],
+    ["Import", skylightingWords(["import", "from", "as"])],
+    ["ControlFlow", skylightingWords([
+      "if", "elif", "else", "for", "while", "try", "except", "finally", "with",
+      "return", "yield", "break", "continue", "pass", "raise", "await",
+    ])],
+    ["Keyword", skylightingWords([
+      "def", "class", "lambda", "and", "or", "not", "in", "is", "del", "global",
+      "nonlocal", "assert", "async",
+    ])],
+    ["Variable", skylightingWords(["None", "True", "False", "self", "cls", "NotImplemented", "Ellipsis"])],
+    ["BuiltIn", skylightingWords([
+      "abs", "all", "any", "bool", "dict", "enumerate", "filter", "float", "int",
+      "isinstance", "len", "list", "map", "max", "min", "print", "range", "repr",
+      "round", "set", "sorted", "str", "sum", "super", "tuple", "type", "zip",
+      "property", "classmethod", "staticmethod", "Exception", "\\w+Error", "\\w+Warning",
+    ])],
+    [null, /[A-Za-z_]\w*/y],
+    ["Operator", /[-+*/%=<>!&|^~@]+/y],
+  ],
+  r: [
+    ["Comment", /#.*/y],
+    ["String", /"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/y],
+    ["Other", /<<-|<-|->>|->|=(?!=)(?=\s)/y],
+    ["SpecialChar", /%[^%\n]*%|\|>/y],
+    ["Float", /(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?|\d+[eE][+-]?\d+/y],
+    ["DecVal", /\d+L?/y],
+    ["ControlFlow", skylightingWords(["if", "else", "for", "in", "while", "repeat", "break", "next", "return", "function"])],
+    ["Constant", skylightingWords([
+      "TRUE", "FALSE", "NULL", "NA", "NA_integer_", "NA_real_", "NA_character_", "Inf", "NaN",
+    ])],
+    ["Attribute", /(?<=[(,]\s*)[A-Za-z.][\w.]*\s*=(?!=)/y],
+    ["Function", /[A-Za-z.][\w.]*(?=\s*\()/y],
+    [null, /[A-Za-z.][\w.]*/y],
+    ["SpecialChar", /[-+*/^<>=!&|~$@:?]+|\[\[|\]\]/y],
+  ],
+  julia: [
+    ["Comment", /#=[\s\S]*?=#|#.*/y],
+    ["String", /"""[\s\S]*?"""|"(?:\\.|[^"\\])*"/y],
+    ["Char", /'(?:\\.|[^'\\])'/y],
+    ["Preprocessor", /@\w+/y],
+    ["BaseN", /0[xob][\da-fA-F_]+/y],
+    ["Float", /(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?|\d+[eE][+-]?\d+/y],
+    ["DecVal", /\d+/y],
+    ["ControlFlow", skylightingWords([
+      "if", "elseif", "else", "for", "while", "return", "break", "continue", "try",
+      "catch", "finally", "in", "isa",
+    ])],
+    ["Keyword", skylightingWords([
+      "module", "baremodule", "end", "function", "struct", "mutable", "abstract", "type",
+      "primitive", "macro", "quote", "let", "local", "global", "const", "using", "import",
+      "export", "begin", "do", "where",
+    ])],
+    ["Constant", skylightingWords(["true", "false", "nothing", "missing", "NaN", "Inf", "pi"])],
+    ["DataType", /(?<=(?:::|<:)\s*)[A-Z]\w*|[A-Z]\w*(?=\{)/y],
+    ["BuiltIn", skylightingWords([
+      "println", "print", "collect", "range", "enumerate", "length", "first", "last",
+      "isempty", "error", "map", "filter", "zip", "push!", "append!",
+    ])],
+    [null, /[A-Za-z_]\w*!?/y],
+    ["Operator", /[-+*/\\^%<>=!&|~:.?÷∈]+/y],
+  ],
+  bash: [
+    ["Variable", /\$\{[^}]*\}|\$[A-Za-z_]\w*|\$[@#?$!*0-9-]/y],
+    ["Other", /\$\(\(?/y],
+    ["Comment", /(?<=^|\s)#.*/my],
+    ["String", bashQuotedString],
+    ["String", /'[^']*'/y],
+    ["Function", /[A-Za-z_][\w-]*(?=\s*\(\))/y],
+    ["ControlFlow", skylightingWords([
+      "if", "then", "else", "elif", "fi", "for", "in", "do", "done", "while", "until",
+      "case", "esac", "return", "exit", "break", "continue", "function", "select",
+    ])],
+    ["BuiltIn", skylightingWords([
+      "echo", "printf", "read", "cd", "pwd", "export", "local", "declare", "readonly",
+      "set", "unset", "source", "eval", "exec", "shift", "trap", "test", "true", "false",
+    ])],
+    ["Variable", /[A-Za-z_]\w*(?=\+?=)/y],
+    ["Attribute", /(?<=\s)--?[A-Za-z][\w-]*/y],
+    ["DecVal", /\d+(?![\w.\/-])/y],
+    [null, /[\w.\/~-]+/y],
+    ["Keyword", /\[\[|\]\]/y],
+    ["Operator", /&&|\|\||[|&;<>]+/y],
+  ],
+  sql: [
+    ["Comment", /--.*|\/\*[\s\S]*?\*\//y],
+    ["String", /'(?:''|[^'])*'/y],
+    ["Float", /(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?|\d+[eE][+-]?\d+/y],
+    ["DecVal", /\d+/y],
+    ["DataType", skylightingWords([
+      "INTEGER", "INT", "BIGINT", "SMALLINT", "VARCHAR", "CHAR", "TEXT", "REAL", "FLOAT",
+      "DOUBLE", "NUMERIC", "DECIMAL", "BOOLEAN", "DATE", "TIMESTAMP",
+    ], "i")],
+    ["Function", skylightingWords([
+      "COUNT", "SUM", "AVG", "MIN", "MAX", "ROUND", "COALESCE", "LOWER", "UPPER",
+      "LENGTH", "NOW", "CURRENT_TIMESTAMP", "CURRENT_DATE",
+    ], "i")],
+    ["Keyword", skylightingWords([
+      "SELECT", "FROM", "WHERE", "AND", "OR", "NOT", "NULL", "IS", "AS", "WITH", "GROUP",
+      "BY", "ORDER", "HAVING", "LIMIT", "CREATE", "TABLE", "IF", "EXISTS", "PRIMARY", "KEY",
+      "DEFAULT", "CHECK", "BETWEEN", "UPDATE", "SET", "LIKE", "INSERT", "INTO", "VALUES",
+      "DELETE", "JOIN", "ON", "LEFT", "RIGHT", "INNER", "OUTER", "ASC", "DESC", "DISTINCT",
+      "UNION", "ALL", "CASE", "WHEN", "THEN", "ELSE", "END", "DROP", "ALTER", "IN",
+    ], "i")],
+    [null, /[A-Za-z_]\w*/y],
+    ["Operator", /[-+*/%=<>!|]+/y],
+  ],
+  typescript: [
+    ["Comment", /\/\/.*|\/\*[\s\S]*?\*\//y],
+    ["String", /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/y],
+    ["VerbatimString", /`(?:\\.|[^`\\])*`/y],
+    ["Attribute", /@\w+/y],
+    ["BaseN", /0[xXoObB][\da-fA-F_]+/y],
+    ["Float", /(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?|\d+[eE][+-]?\d+/y],
+    ["DecVal", /\d+/y],
+    ["Import", skylightingWords(["import", "export", "from", "as"])],
+    ["ControlFlow", skylightingWords([
+      "if", "else", "for", "while", "do", "return", "break", "continue", "switch", "case",
+      "default", "throw", "try", "catch", "finally", "yield", "await", "of", "in",
+    ])],
+    ["Keyword", skylightingWords([
+      "const", "let", "var", "function", "class", "interface", "enum", "extends",
+      "implements", "new", "this", "super", "typeof", "instanceof", "static", "readonly",
+      "private", "public", "protected", "get", "set", "async", "type", "abstract",
+      "declare", "namespace", "keyof",
+    ])],
+    ["Constant", skylightingWords(["true", "false", "null", "undefined", "NaN", "Infinity"])],
+    ["DataType", skylightingWords([
+      "string", "number", "boolean", "any", "unknown", "never", "void", "object", "bigint", "symbol",
+    ])],
+    ["BuiltIn", skylightingWords([
+      "console", "Math", "JSON", "Promise", "Symbol", "Array", "Object", "Date", "Map", "Set",
+      "Number", "String", "Boolean", "Error", "RangeError", "TypeError", "Iterable", "Iterator",
+    ])],
+    ["Function", /[A-Za-z_$][\w$]*(?=\s*\()/y],
+    [null, /[A-Za-z_$][\w$]*/y],
+    ["Operator", /[-+*/%=<>!&|^~?:]+/y],
+  ],
+  yaml: [
+    ["Comment", /(?<=^|\s)#.*/my],
+    ["Keyword", /(?<=^[ \t]*)-(?=\s)/my],
+    ["Function", /(?<=^[ \t]*(?:-[ \t]+)?)(?:"[^"\n]*"|'[^'\n]*'|[^\s#"'][^#:\n]*?):(?=\s|$)/my],
+    ["Other", /[&*][\w-]+/y],
+    ["String", /"(?:\\.|[^"\\])*"|'(?:''|[^'])*'/y],
+    ["Constant", /(?:true|false|null|yes|no|on|off|~)(?=[ \t]*(?:#|$))/my],
+    ["Float", /[-+]?(?:\d+\.\d*|\.\d+)(?:[eE][+-]?\d+)?(?=[ \t]*(?:#|$))|[-+]?\d+[eE][+-]?\d+(?=[ \t]*(?:#|$))/my],
+    ["DecVal", /[-+]?\d+(?=[ \t]*(?:#|$))/my],
+    ["Attribute", /[^\s#][^#\n]*?(?=[ \t]*(?:#|$))/my],
+  ],
+};
+
+// Lines of [token, text] pieces, with adjacent pieces of the same token merged
+function skylightingTokens(code, lang) {
+  const rules = SKYLIGHTING_RULES[lang];
+  const pieces = [];
+  const push = (token, text) => {
+    const last = pieces[pieces.length - 1];
+    if (last && last[0] === token) last[1] += text;
+    else pieces.push([token, text]);
+  };
+
+  let i = 0;
+  scan: while (i < code.length) {
+    for (const [token, rule] of rules) {
+      if (typeof rule === "function") {
+        const consumed = rule(code, i);
+        if (!consumed) continue;
+        for (const [tok, text] of consumed) {
+          push(tok, text);
+          i += text.length;
+        }
+        continue scan;
+      }
+      rule.lastIndex = i;
+      const match = rule.exec(code);
+      if (match && match[0]) {
+        push(token, match[0]);
+        i += match[0].length;
+        continue scan;
+      }
+    }
+    push(null, code[i++]);
+  }
+
+  const lines = [[]];
+  for (const [token, text] of pieces) {
+    text.split("\n").forEach((part, n) => {
+      if (n > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push([token, part]);
+    });
+  }
+  // Pandoc drops the trailing newline of a code block
+  if (code.endsWith("\n")) lines.pop();
+  return lines;
+}
+
+// Files without a -light/-dark suffix load into the active variant
+function variantForFile(filename) {
+  const variantId = variantIdForFile(filename);
+  return variantId ? project.variants[variantId] : activeVariant();
+}
+
+// A theme document holds the whole project, so it replaces it outright instead of
+// going through a variant's loader
+function loadDocumentUpload(content) {
+  const warnings = [];
+  restoreProject(loadThemeDocument(content, warnings));
+  return { imports: [], warnings };
+}
+
+// Reads a picked file (a single theme or an exported zip) into the project. Returns
+// { imports: [{ filename, variant, report }], warnings } with warnings about the
+// upload as a whole, or null when the user cancels resolving a zip's conflicts.
+// A zip with a .arcadia-theme.json is loaded from that alone. Errors name the file
+// inside the zip that failed.
+async function loadUpload(file) {
+  if (file.name.endsWith(THEME_DOCUMENT_SUFFIX)) {
+    return loadDocumentUpload(await file.text());
+  }
+  if (!file.name.endsWith(".zip")) {
+    const content = await file.text();
+    const variant = variantForFile(file.name);
+    return { imports: [{ filename: file.name, variant, report: loadThemeFromFile(file.name, content, variant) }], warnings: [] };
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (err) {
+    throw new Error(`Not a readable zip archive (${err.message})`);
+  }
+
+  const documentFile = Object.keys(zip.files).find((f) => f.endsWith(THEME_DOCUMENT_SUFFIX) && !f.startsWith("__MACOSX/"));
+  if (documentFile) {
+    try {
+      return loadDocumentUpload(await zip.files[documentFile].async("string"));
+    } catch (err) {
+      throw new Error(`${documentFile}: ${err.message}`);
+    }
+  }
+
+  const groups = new Map();
+  for (const [filename, entry] of Object.entries(zip.files)) {
+    if (entry.dir || filename.startsWith("__MACOSX/")) continue;
+    const variant = variantForFile(filename);
+    if (!groups.has(variant)) groups.set(variant, []);
+    groups.get(variant).push(filename);
+  }
+
+  // Every theme file is loaded into a scratch copy of its variant so the files can
+  // be compared before anything is applied
+  const imports = [];
+  const merges = [];
+  for (const [variant, filenames] of groups) {
+    const sources = [];
+    for (const filename of themeFilesInOrder(filenames)) {
+      const content = await zip.files[filename].async("string");
+      const scratch = structuredClone(variant);
+      try {
+        const report = loadThemeFromFile(filename, content, scratch);
+        sources.push({ filename, variant: scratch, report });
+        imports.push({ filename, variant, report });
+      } catch (err) {
+        throw new Error(`${filename}: ${err.message}`);
+      }
+    }
+    if (sources.length > 0) merges.push({ variant, sources, conflicts: mergeConflicts(sources) });
+  }
+
+  if (imports.length === 0) {
+    throw new Error(`No theme files found; expected names ending in ${THEME_DOCUMENT_SUFFIX}, -vscode.json, .theme or .tmTheme`);
+  }
+  if (merges.some((merge) => merge.conflicts.length > 0) && !(await resolveMergeConflicts(merges))) {
+    return null;
+  }
+  for (const merge of merges) applyMerge(merge);
+
+  const settingsFile = Object.keys(zip.files).find((f) => f.endsWith("-settings.json") && !f.startsWith("__MACOSX/"));
+  if (settingsFile) {
+    try {
+      project.typography = loadVscodeSettings(await zip.files[settingsFile].async("string"));
+    } catch (err) {
+      throw new Error(`${settingsFile}: ${err.message}`);
+    }
+  }
+
+  const warnings = VARIANTS
+    .filter((v) => !imports.some((i) => i.variant === project.variants[v.id]))
+    .map((v) => `No ${v.id} theme in the zip (-${v.id}-vscode.json, -${v.id}.theme or -${v.id}.tmTheme); the ${v.label} variant was left unchanged`);
+  return { imports, warnings };
+}
+
+const THEME_FILE_SUFFIXES = ["-vscode.json", ".theme", ".tmTheme"];
+
+function themeFilesInOrder(filenames) {
+  return THEME_FILE_SUFFIXES.flatMap((suffix) => filenames.filter((f) => f.endsWith(suffix)));
+}
+
+function styleKey(source, id) {
+  const style = source.variant.styleState[id];
+  return `${source.variant.state[id].toUpperCase()}${style ? `${style.bold}${style.italic}` : ""}`;
+}
+
+// Background, foreground and categories that the files set to different values
+function mergeConflicts(sources) {
+  const conflicts = [];
+  for (const target of [...GLOBAL_SETTINGS, ...TOKEN_CATEGORIES]) {
+    const providers = sources.filter((source) => source.report.targets.includes(target.id));
+    if (new Set(providers.map((source) => styleKey(source, target.id))).size > 1) {
+      conflicts.push({ target, sources: providers, choice: 0 });
+    }
+  }
+  return conflicts;
+}
+
+// Values come from the first file (in THEME_FILE_SUFFIXES order) that set them unless
+// a conflict was resolved otherwise. Scope rules and workbench colors come from the
+// first file that carries them; Pandoc token styles are attached last.
+function applyMerge({ variant, sources, conflicts }) {
+  for (const target of [...GLOBAL_SETTINGS, ...TOKEN_CATEGORIES]) {
+    const conflict = conflicts.find((c) => c.target === target);
+    const source = conflict
+      ? conflict.sources[conflict.choice]
+      : sources.find((s) => s.report.targets.includes(target.id));
+    if (!source) continue;
+    variant.state[target.id] = source.variant.state[target.id];
+    if (source.variant.styleState[target.id]) {
+      variant.styleState[target.id] = { ...source.variant.styleState[target.id] };
+    }
+  }
+
+  const ruleSource = sources.find((s) => s.report.extras.includes("scopeRules"));
+  if (ruleSource) variant.customRules = structuredClone(ruleSource.variant.customRules);
+  const uiSource = sources.find((s) => s.report.extras.includes("workbenchColors"));
+  if (uiSource) variant.uiColors = { ...uiSource.variant.uiColors };
+  pruneUiColors(variant);
+
+  for (const source of sources) {
+    if (source.report.pandoc) importPandocSettings(variant, source.report.pandoc);
+  }
+}
+
+// --- Rendering ---
+
+function previewTheme(variant = activeVariant()) {
+  const theme = buildShikiTheme(variant);
+  return previewState.vision === "none" ? theme : simulateShikiTheme(theme, previewState.vision);
+}
+
+function previewCode() {
+  if (previewState.source === "snippet") {
+    return { code: previewState.snippet, lang: snippetLanguage() };
+  }
+  return CODE_SAMPLES.find((s) => s.lang === previewState.lang) || CODE_SAMPLES[0];
+}
+
+// Shiki FontStyle flags
+const SHIKI_ITALIC = 1;
+const SHIKI_BOLD = 2;
+const SHIKI_UNDERLINE = 4;
+
+// Token records for the inspector, indexed by the data-token attribute in the preview.
+// Each render collects its own and they replace these only when its HTML is written.
+let inspectorTokens = [];
+// Bumped per preview render so a slower, older render can't overwrite a newer one
+let previewGeneration = 0;
+
+// With a `records` array and the inspector on, each token's record is pushed there and
+// its span gets the record's index; other renders (e.g. the comparison) aren't inspectable
+async function highlight(code, lang, variant = activeVariant(), records = null) {
+  const theme = previewTheme(variant);
+  if (!previewState.inspect || !records) return codeToHtml(code, { lang, theme });
+
+  const { tokens, fg, bg } = await codeToTokens(code, { lang, theme, includeExplanation: true });
+  const lines = tokens.map((line) => {
+    const spans = line.flatMap((token) => {
+      const styles = [`color:${token.color || fg}`];
+      if (token.fontStyle > 0) {
+        if (token.fontStyle & SHIKI_ITALIC) styles.push("font-style:italic");
+        if (token.fontStyle & SHIKI_BOLD) styles.push("font-weight:bold");
+        if (token.fontStyle & SHIKI_UNDERLINE) styles.push("text-decoration:underline");
+      }
+      const parts = token.explanation?.length ? token.explanation : [{ content: token.content, scopes: [] }];
+      return parts.map((part) => {
+        const index = records.push({
+          variantId: variant.id,
+          content: part.content,
+          scopes: part.scopes.map((s) => s.scopeName),
+          color: token.color || fg,
+          fontStyle: token.fontStyle,
+        }) - 1;
+        return `<span data-token="${index}" style="${styles.join(";")}">${escapeHtml(part.content)}</span>`;
+      });
+    });
+    return `<span class="line">${spans.join("")}</span>`;
+  });
+  return `<pre class="shiki inspectable" style="background-color:${bg};color:${fg}" tabindex="0"><code>${lines.join("\n")}</code></pre>`;
+}
+
+// The Pandoc token a Shiki token ends up as: its scope rule's token, else the first
+// token of its category, else none (Pandoc's NormalTok)
+function pandocTokenForScopes(scopes, variant) {
+  const match = resolveScopeStack(scopes, variant);
+  if (!match) return null;
+  if (match.rule) return match.rule.pandocToken;
+  return match.category.pandocTokens[0] || null;
+}
+
+// Lines of [token, text] pieces as Pandoc would classify them: Skylighting's rules for
+// the languages we emulate, else each Shiki token's scope mapped to a Pandoc token
+async function pandocLines(code, lang, variant) {
+  if (SKYLIGHTING_RULES[lang]) return skylightingTokens(code, lang);
+  const { tokens } = await codeToTokens(code, { lang, theme: buildShikiTheme(variant), includeExplanation: true });
+  return tokens.map((line) =>
+    line.flatMap((token) => {
+      const parts = token.explanation?.length ? token.explanation : [{ content: token.content, scopes: [] }];
+      return parts.map((part) => [pandocTokenForScopes(part.scopes.map((s) => s.scopeName), variant), part.content]);
+    })
+  );
+}
+
+// Code marked up the way Pandoc writes highlighted blocks, styled from buildPandocTheme()
+async function pandocHtml(code, lang, variant = activeVariant()) {
+  const lines = (await pandocLines(code, lang, variant)).map((line, i) => {
+    const spans = line.map(([token, content]) => {
+      const text = escapeHtml(content);
+      return token ? `<span class="${PANDOC_TOKEN_CLASSES[token]}">${text}</span>` : text;
+    });
+    return `<span id="cb1-${i + 1}"><a href="#cb1-${i + 1}" aria-hidden="true" tabindex="-1"></a>${spans.join("")}</span>`;
+  });
+
+  // The variant may not be the project's own, e.g. the compared theme's
+  const owner = { ...currentTheme(), variants: { ...project.variants, [variant.id]: variant } };
+  let theme = JSON.parse(buildPandocTheme(owner, variant.id));
+  if (previewState.vision !== "none") theme = simulatePandocTheme(theme, previewState.vision);
+  return `<div class="pandoc-preview"><style>${pandocCss(theme, ".pandoc-preview", project.typography)}</style><div class="sourceCode" id="cb1"><pre class="sourceCode numberSource ${lang} number-lines"><code class="sourceCode ${lang}">${lines.join("\n")}</code></pre></div></div>`;
+}
+
+// The main preview's renderer: Shiki as editors see it, or Pandoc HTML as Quarto publishes it
+function renderCode(code, lang, variant = activeVariant(), records = null) {
+  return previewState.renderer === "quarto" ? pandocHtml(code, lang, variant) : highlight(code, lang, variant, records);
+}
+
+function previewUiColors(variant) {
+  const colors = uiColorsFor(variant);
+  if (previewState.vision === "none") return colors;
+  return Object.fromEntries(
+    Object.entries(colors).map(([key, hex]) => [key, simulateCvd(hex, previewState.vision)])
+  );
+}
+
+// A static VS Code-like window around the highlighted code, painted with the workbench colors
+function editorFrameHtml(codeHtml, variant) {
+  const c = previewUiColors(variant);
+  const editorBg = previewTheme(variant).colors["editor.background"];
+  const vars = [
+    `--selection:${c["editor.selectionBackground"]}`,
+    `--line-highlight:${c["editor.lineHighlightBackground"]}`,
+    `--cursor:${c["editorCursor.foreground"]}`,
+    `--line-number:${c["editorLineNumber.foreground"]}`,
+    `--line-number-active:${c["editorLineNumber.activeForeground"]}`,
+    `--gutter:${c["editorGutter.background"]}`,
+  ].join(";");
+  const ansi = ANSI_COLORS.map(
+    ([name]) => `<span style="color:${c[`terminal.ansi${name}`]}">${name}</span>`
+  ).join(" ");
+  const brackets = [1, 2, 3]
+    .map((level) => `<span style="color:${c[`editorBracketHighlight.foreground${level}`]}">${"([{".charAt(level - 1)}</span>`)
+    .join("");
+  const closing = [3, 2, 1]
+    .map((level) => `<span style="color:${c[`editorBracketHighlight.foreground${level}`]}">${")]}".charAt(level - 1)}</span>`)
+    .join("");
+
+  return `<div class="mock-editor" style="${vars}">
+  <div class="mock-activity" style="background:${c["activityBar.background"]};color:${c["activityBar.foreground"]}">&#9776;</div>
+  <div class="mock-sidebar" style="background:${c["sideBar.background"]};color:${c["sideBar.foreground"]}">
+    <div class="mock-sidebar-header" style="background:${c["sideBarSectionHeader.background"]}">Explorer</div>
+    <div class="mock-file">gradient.py</div>
+    <div class="mock-file">palette.py</div>
+    <div class="mock-file">_quarto.yml</div>
+  </div>
+  <div class="mock-main" style="background:${editorBg}">
+    <div class="mock-tabs" style="background:${c["editorGroupHeader.tabsBackground"]}">
+      <div class="mock-tab" style="background:${c["tab.activeBackground"]};color:${c["tab.activeForeground"]};border-color:${c["tab.border"]}">gradient.py</div>
+      <div class="mock-tab" style="background:${c["tab.inactiveBackground"]};color:${c["tab.inactiveForeground"]};border-color:${c["tab.border"]}">palette.py</div>
+    </div>
+    <div class="mock-code">${codeHtml}</div>
+    <div class="mock-panel" style="border-color:${c["tab.border"]};color:${c["sideBar.foreground"]}">
+      <div style="background:${c["diffEditor.insertedTextBackground"]}">+ anchors = [Anchor(color, value) for color, value in pairs]</div>
+      <div style="background:${c["diffEditor.removedTextBackground"]}">- anchors = list(zip(colors, values))</div>
+      <div>${brackets} <span style="background:${c["editorBracketMatch.background"]};outline:1px solid ${c["editorBracketMatch.border"]}">bracket match</span> ${closing}</div>
+      <div>$ ${ansi}</div>
+    </div>
+    <div class="mock-status" style="background:${c["statusBar.background"]};color:${c["statusBar.foreground"]}">
+      <span>main</span><span>Ln 5, Col 12</span><span>${escapeHtml(variantThemeName(currentTheme(), variant.id))}</span>
+    </div>
+  </div>
+</div>`;
+}
+
+// The editor frame mocks VS Code, so it only wraps the Shiki renderer
+function editorFrameShown() {
+  return previewState.frame && previewState.renderer === "shiki";
+}
+
+function previewPanel(label, html) {
+  return `<div class="preview-panel"><div class="preview-panel-label">${label}</div>${html}</div>`;
+}
+
+async function renderPreview() {
+  const output = document.getElementById("preview-output");
+  applyTypography();
+  hideInspector();
+  const generation = ++previewGeneration;
+  const records = [];
+  // False once a newer render has started; otherwise its records become the inspector's
+  const commit = () => {
+    if (generation !== previewGeneration) return false;
+    inspectorTokens = records;
+    return true;
+  };
+
+  if (sidebarTab === "pandoc") {
+    const { code, lang } = previewCode();
+    const [shikiHtml, pandocPreview] = await Promise.all([highlight(code, lang, activeVariant(), records), pandocHtml(code, lang)]);
+    if (!commit()) return;
+    output.innerHTML = `<div class="preview-split">${previewPanel("Shiki", shikiHtml)}${previewPanel("Pandoc HTML", pandocPreview)}</div>`;
+    return;
+  }
+
+  if (previewState.sideBySide) {
+    const { code, lang } = previewCode();
+    const panels = await Promise.all(
+      VARIANTS.map(async (v) => {
+        const variant = project.variants[v.id];
+        const html = await renderCode(code, lang, variant, records);
+        return previewPanel(v.label, editorFrameShown() ? editorFrameHtml(html, variant) : html);
+      })
+    );
+    if (!commit()) return;
+    output.innerHTML = `<div class="preview-split">${panels.join("")}</div>`;
+    return;
+  }
+
+  if (previewState.grid && previewState.source === "sample") {
+    const panels = await Promise.all(
+      CODE_SAMPLES.map(async (sample) => {
+        return previewPanel(sample.label, await renderCode(sample.code, sample.lang, activeVariant(), records));
+      })
+    );
+    if (!commit()) return;
+    output.innerHTML = `<div class="preview-grid">${panels.join("")}</div>`;
+    return;
+  }
+
+  const { code, lang } = previewCode();
+  const html = await renderCode(code, lang, activeVariant(), records);
+  if (!commit()) return;
+  output.innerHTML = editorFrameShown() ? editorFrameHtml(html, activeVariant()) : html;
+}
+
+// --- Scope inspector ---
+
+function describeStyle(fontStyleFlags) {
+  if (!(fontStyleFlags > 0)) return "regular";
+  const parts = [];
+  if (fontStyleFlags & SHIKI_BOLD) parts.push("bold");
+  if (fontStyleFlags & SHIKI_ITALIC) parts.push("italic");
+  if (fontStyleFlags & SHIKI_UNDERLINE) parts.push("underline");
+  return parts.join(" ");
+}
+
+function inspectorTarget(match) {
+  if (!match) return "foreground";
+  if (match.rule) return `${RULE_TARGET_PREFIX}${match.rule.id}`;
+  return match.category.id;
+}
+
+function showInspector(tokenEl) {
+  const token = inspectorTokens[Number(tokenEl.dataset.token)];
+  if (!token) return;
+  const variant = project.variants[token.variantId];
+  const match = resolveScopeStack(token.scopes, variant);
+  const color = match?.rule ? match.rule.color : variant.state[inspectorTarget(match)];
+
+  const tooltip = document.getElementById("inspector");
+  tooltip.innerHTML = "";
+
+  const heading = document.createElement("div");
+  heading.className = "inspector-heading";
+  if (match?.rule) {
+    heading.textContent = `Rule: ${match.rule.scope}`;
+  } else if (match) {
+    heading.textContent = `Category: ${match.category.label}`;
+  } else {
+    heading.textContent = "Default foreground";
+  }
+  tooltip.appendChild(heading);
+
+  if (match) {
+    const matched = document.createElement("div");
+    matched.className = "inspector-meta";
+    matched.textContent = `matched "${match.selector}" on ${match.scope}`;
+    tooltip.appendChild(matched);
+  }
+
+  const resolved = document.createElement("div");
+  resolved.className = "inspector-color";
+  const swatch = document.createElement("span");
+  swatch.className = "contrast-fix-swatch";
+  swatch.style.backgroundColor = color;
+  resolved.appendChild(swatch);
+  resolved.appendChild(
+    document.createTextNode(`${colorName(color)} ${color.toLowerCase()} \u00b7 ${describeStyle(token.fontStyle)}`)
+  );
+  tooltip.appendChild(resolved);
+
+  const stack = document.createElement("ol");
+  stack.className = "inspector-scopes";
+  for (const scope of [...token.scopes].reverse()) {
+    const item = document.createElement("li");
+    item.textContent = scope;
+    item.classList.toggle("matched", scope === match?.scope);
+    stack.appendChild(item);
+  }
+  tooltip.appendChild(stack);
+
+  const rect = tokenEl.getBoundingClientRect();
+  tooltip.style.left = `${rect.left}px`;
+  tooltip.style.top = `${rect.bottom + 6}px`;
+  tooltip.classList.add("open");
+}
+
+function hideInspector() {
+  document.getElementById("inspector")?.classList.remove("open");
+}
+
+function jumpToSidebarRow(tokenEl) {
+  const token = inspectorTokens[Number(tokenEl.dataset.token)];
+  if (!token) return;
+  if (token.variantId !== project.active) switchVariant(token.variantId);
+  const match = resolveScopeStack(token.scopes, activeVariant());
+  const btn = document.querySelector(`#sidebar [data-target-id="${inspectorTarget(match)}"]`);
+  const row = btn?.closest(".token-row, .rule-row");
+  if (!row) return;
+  row.scrollIntoView({ block: "center", behavior: "smooth" });
+  row.classList.remove("flash");
+  void row.offsetWidth;
+  row.classList.add("flash");
+}
+
+function renderPreviewControls() {
+  const isSnippet = previewState.source === "snippet";
+  document.getElementById("preview-source").value = previewState.source;
+
+  const select = document.getElementById("preview-lang");
+  select.innerHTML = "";
+  if (isSnippet) {
+    const detected = CODE_SAMPLES.find((s) => s.lang === detectLanguage(previewState.snippet));
+    const auto = document.createElement("option");
+    auto.value = "auto";
+    auto.textContent = `Auto-detect (${detected.label})`;
+    select.appendChild(auto);
+  }
+  for (const sample of CODE_SAMPLES) {
+    const option = document.createElement("option");
+    option.value = sample.lang;
+    option.textContent = sample.label;
+    select.appendChild(option);
+  }
+  select.value = isSnippet ? previewState.snippetLang : previewState.lang;
+  document.getElementById("preview-vision").value = previewState.vision;
+
+  const gridDisabled = isSnippet || previewState.sideBySide;
+  const gridBtn = document.getElementById("preview-grid-toggle");
+  gridBtn.disabled = gridDisabled;
+  gridBtn.classList.toggle("active", previewState.grid && !gridDisabled);
+  gridBtn.textContent = previewState.grid ? "Single" : "Grid";
+  select.disabled = !isSnippet && previewState.grid && !gridDisabled;
+
+  const splitBtn = document.getElementById("preview-split-toggle");
+  splitBtn.classList.toggle("active", previewState.sideBySide);
+
+  const isQuarto = previewState.renderer === "quarto";
+  document.getElementById("preview-renderer").value = previewState.renderer;
+  const inspectBtn = document.getElementById("preview-inspect-toggle");
+  inspectBtn.disabled = isQuarto;
+  inspectBtn.classList.toggle("active", previewState.inspect && !isQuarto);
+  const frameBtn = document.getElementById("preview-frame-toggle");
+  frameBtn.disabled = isQuarto;
+  frameBtn.classList.toggle("active", editorFrameShown());
+
+  const input = document.getElementById("snippet-input");
+  input.hidden = !isSnippet;
+  if (input.value !== previewState.snippet) input.value = previewState.snippet;
+}
+
+function renderSidebar() {
+  const sidebar = document.getElementById("sidebar");
+  sidebar.innerHTML = "";
+
+  sidebar.appendChild(createSidebarTabs());
+
+  const variantLabel = document.createElement("div");
+  variantLabel.className = "section-label";
+  variantLabel.textContent = "Variant";
+  sidebar.appendChild(variantLabel);
+  sidebar.appendChild(createVariantSwitcher());
+
+  if (sidebarTab === "pandoc") {
+    renderPandocTab(sidebar);
+    return;
+  }
+
+  const globalLabel = document.createElement("div");
+  globalLabel.className = "section-label";
+  globalLabel.textContent = "Global";
+  sidebar.appendChild(globalLabel);
+
+  for (const setting of GLOBAL_SETTINGS) {
+    sidebar.appendChild(createTokenRow(setting.id, setting.label));
+  }
+
+  const tokenLabel = document.createElement("div");
+  tokenLabel.className = "section-label";
+  tokenLabel.textContent = "Tokens";
+  sidebar.appendChild(tokenLabel);
+
+  for (const cat of TOKEN_CATEGORIES) {
+    sidebar.appendChild(createTokenRow(cat.id, cat.label));
+  }
+
+  const rulesLabel = document.createElement("div");
+  rulesLabel.className = "section-label";
+  rulesLabel.textContent = "Advanced scopes";
+  sidebar.appendChild(rulesLabel);
+
+  for (const rule of activeVariant().customRules) {
+    sidebar.appendChild(createRuleRow(rule));
+  }
+
+  const addRuleBtn = document.createElement("button");
+  addRuleBtn.className = "contrast-fix-btn rule-add-btn";
+  addRuleBtn.textContent = "Add scope rule";
+  addRuleBtn.addEventListener("click", () => {
+    activeVariant().customRules.push(createCustomRule(state.foreground));
+    recordHistory("Add scope rule");
+    renderSidebar();
+    const scopeInputs = sidebar.querySelectorAll(".rule-scope");
+    scopeInputs[scopeInputs.length - 1]?.focus();
+  });
+  sidebar.appendChild(addRuleBtn);
+
+  const uiLabel = document.createElement("div");
+  uiLabel.className = "section-label";
+  uiLabel.textContent = "UI colors";
+  sidebar.appendChild(uiLabel);
+
+  for (const group of UI_COLOR_GROUPS) {
+    const details = document.createElement("details");
+    details.className = "ui-group";
+    details.open = openUiGroups.has(group.id);
+    details.addEventListener("toggle", () => {
+      if (details.open) openUiGroups.add(group.id);
+      else openUiGroups.delete(group.id);
+    });
+
+    const summary = document.createElement("summary");
+    summary.textContent = group.label;
+    details.appendChild(summary);
+
+    for (const def of UI_COLORS.filter((d) => d.group === group.id)) {
+      details.appendChild(createUiColorRow(def));
+    }
+    sidebar.appendChild(details);
+  }
+
+  const typographyLabel = document.createElement("div");
+  typographyLabel.className = "section-label";
+  typographyLabel.textContent = "Typography";
+  sidebar.appendChild(typographyLabel);
+
+  for (const row of createTypographyRows()) {
+    sidebar.appendChild(row);
+  }
+
+  const contrastLabel = document.createElement("div");
+  contrastLabel.className = "section-label";
+  contrastLabel.textContent = "Contrast";
+  sidebar.appendChild(contrastLabel);
+
+  const summary = document.createElement("div");
+  summary.className = "contrast-summary";
+  summary.id = "contrast-summary";
+  sidebar.appendChild(summary);
+
+  const visionLabel = document.createElement("div");
+  visionLabel.className = "section-label";
+  visionLabel.textContent = "Color vision";
+  sidebar.appendChild(visionLabel);
+
+  const cvdReport = document.createElement("div");
+  cvdReport.className = "cvd-report";
+  cvdReport.id = "cvd-report";
+  sidebar.appendChild(cvdReport);
+
+  const historyLabel = document.createElement("div");
+  historyLabel.className = "section-label";
+  historyLabel.textContent = "History";
+  sidebar.appendChild(historyLabel);
+
+  const historyControls = document.createElement("div");
+  historyControls.className = "variant-row";
+  for (const [text, action, title] of [
+    ["Undo", undo, "Undo (Ctrl/Cmd+Z)"],
+    ["Redo", redo, "Redo (Ctrl/Cmd+Shift+Z)"],
+  ]) {
+    const btn = document.createElement("button");
+    btn.className = "variant-btn";
+    btn.id = `history-${text.toLowerCase()}`;
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener("click", action);
+    historyControls.appendChild(btn);
+  }
+  sidebar.appendChild(historyControls);
+
+  const historyList = document.createElement("ol");
+  historyList.className = "history-list";
+  historyList.id = "history-list";
+  sidebar.appendChild(historyList);
+
+  renderContrast();
+  renderCvdReport();
+  renderHistory();
+}
+
+function createRuleRow(rule) {
+  const targetId = `${RULE_TARGET_PREFIX}${rule.id}`;
+  const row = document.createElement("div");
+  row.className = "rule-row";
+
+  const scopeInput = document.createElement("input");
+  scopeInput.className = "rule-scope";
+  scopeInput.value = rule.scope;
+  scopeInput.placeholder = "string.regexp, meta.decorator";
+  scopeInput.spellcheck = false;
+  scopeInput.addEventListener("change", () => {
+    rule.scope = scopeInput.value.trim();
+    recordHistory(`Rule scope: ${rule.scope || "(empty)"}`);
+    renderPreview();
+  });
+
+  const btn = document.createElement("button");
+  btn.className = "color-btn";
+  btn.style.backgroundColor = rule.color;
+  btn.dataset.targetId = targetId;
+  btn.addEventListener("click", (e) => openPopover(e, targetId));
+
+  const nameEl = document.createElement("span");
+  nameEl.className = "color-name";
+  nameEl.id = `name-${targetId}`;
+  nameEl.textContent = targetColorName(targetId);
+
+  const toggles = document.createElement("div");
+  toggles.className = "style-toggles";
+  for (const [key, text] of [["bold", "B"], ["italic", "I"]]) {
+    const toggle = document.createElement("button");
+    toggle.className = `style-toggle style-toggle-${key}`;
+    toggle.classList.toggle("active", rule[key]);
+    toggle.textContent = text;
+    toggle.addEventListener("click", () => {
+      rule[key] = !rule[key];
+      toggle.classList.toggle("active");
+      recordHistory(`Rule ${rule.scope || "(empty)"}: ${key} ${rule[key] ? "on" : "off"}`);
+      renderPreview();
+    });
+    toggles.appendChild(toggle);
+  }
+
+  const pandocSelect = document.createElement("select");
+  pandocSelect.className = "rule-pandoc";
+  pandocSelect.title = "Pandoc token this rule overrides";
+  for (const tok of [null, ...ALL_PANDOC_TOKENS]) {
+    const option = document.createElement("option");
+    option.value = tok || "";
+    option.textContent = tok || "No Pandoc token";
+    pandocSelect.appendChild(option);
+  }
+  pandocSelect.value = rule.pandocToken || "";
+  pandocSelect.addEventListener("change", () => {
+    rule.pandocToken = pandocSelect.value || null;
+    recordHistory(`Rule ${rule.scope || "(empty)"}: Pandoc ${rule.pandocToken || "none"}`);
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "rule-remove";
+  removeBtn.textContent = "\u00d7";
+  removeBtn.title = "Remove rule";
+  removeBtn.addEventListener("click", () => {
+    const rules = activeVariant().customRules;
+    rules.splice(rules.indexOf(rule), 1);
+    recordHistory(`Remove rule ${rule.scope || "(empty)"}`);
+    closePopover();
+    renderSidebar();
+    renderPreview();
+  });
+
+  const detail = document.createElement("div");
+  detail.className = "rule-detail";
+  detail.appendChild(btn);
+  detail.appendChild(toggles);
+  detail.appendChild(nameEl);
+  detail.appendChild(pandocSelect);
+
+  const header = document.createElement("div");
+  header.className = "rule-header";
+  header.appendChild(scopeInput);
+  header.appendChild(removeBtn);
+
+  row.appendChild(header);
+  row.appendChild(detail);
+  return row;
+}
+
+function createSidebarTabs() {
+  const row = document.createElement("div");
+  row.className = "variant-row sidebar-tabs";
+
+  for (const tab of SIDEBAR_TABS) {
+    const btn = document.createElement("button");
+    btn.className = "variant-btn";
+    btn.classList.toggle("active", sidebarTab === tab.id);
+    btn.textContent = tab.label;
+    btn.addEventListener("click", () => {
+      sidebarTab = tab.id;
+      closePopover();
+      renderSidebar();
+      renderPreview();
+    });
+    row.appendChild(btn);
+  }
+  return row;
+}
+
+function renderPandocTab(sidebar) {
+  const lineLabel = document.createElement("div");
+  lineLabel.className = "section-label";
+  lineLabel.textContent = "Line numbers";
+  sidebar.appendChild(lineLabel);
+
+  sidebar.appendChild(createPandocLineNumberRow("lineNumberColor", "Color"));
+  sidebar.appendChild(createPandocLineNumberRow("lineNumberBackground", "Background"));
+
+  const tokenLabel = document.createElement("div");
+  tokenLabel.className = "section-label";
+  tokenLabel.textContent = "Tokens";
+  sidebar.appendChild(tokenLabel);
+
+  for (const token of ALL_PANDOC_TOKENS) {
+    sidebar.appendChild(createPandocTokenRow(token));
+  }
+}
+
+function createPandocLineNumberRow(key, label) {
+  const targetId = `${PANDOC_TARGET_PREFIX}${key}`;
+  const row = document.createElement("div");
+  row.className = "token-row pandoc-row";
+  row.dataset.pandocKey = key;
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "token-label";
+  labelEl.textContent = label;
+
+  const btn = document.createElement("button");
+  btn.className = "color-btn";
+  btn.dataset.targetId = targetId;
+  btn.addEventListener("click", (e) => openPopover(e, targetId));
+
+  const nameEl = document.createElement("span");
+  nameEl.className = "color-name";
+  nameEl.id = `name-${targetId}`;
+
+  const resetBtn = document.createElement("button");
+  resetBtn.className = "contrast-fix-btn ui-reset-btn";
+  resetBtn.textContent = "Auto";
+  resetBtn.addEventListener("click", () => {
+    activeVariant().pandoc[key] = null;
+    recordHistory(`Pandoc ${key}: auto`);
+    refreshPandocRows();
+    renderPreview();
+  });
+
+  row.appendChild(labelEl);
+  row.appendChild(btn);
+  row.appendChild(nameEl);
+  row.appendChild(resetBtn);
+  refreshPandocRow(row);
+  return row;
+}
+
+function createPandocTokenRow(token) {
+  const row = document.createElement("div");
+  row.className = "token-row pandoc-row";
+  row.dataset.pandocToken = token;
+  row.title = `${token}Tok (.${PANDOC_TOKEN_CLASSES[token]})`;
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "token-label";
+  labelEl.textContent = token;
+  row.appendChild(labelEl);
+
+  for (const field of ["color", "background"]) {
+    const targetId = `${PANDOC_TARGET_PREFIX}${token}:${field}`;
+    const btn = document.createElement("button");
+    btn.className = `color-btn pandoc-${field}-btn`;
+    btn.title = field === "color" ? "Text color" : "Background color";
+    btn.dataset.targetId = targetId;
+    btn.addEventListener("click", (e) => openPopover(e, targetId));
+    row.appendChild(btn);
+  }
+
+  const toggles = document.createElement("div");
+  toggles.className = "style-toggles";
+  for (const [key, text] of [["bold", "B"], ["italic", "I"], ["underline", "U"]]) {
+    const toggle = document.createElement("button");
+    toggle.className = `style-toggle style-toggle-${key}`;
+    toggle.dataset.styleKey = key;
+    toggle.textContent = text;
+    toggle.addEventListener("click", () => {
+      const variant = activeVariant();
+      updatePandocStyle(variant, token, { [key]: !pandocStyle(variant, token)[key] });
+      recordHistory(`Pandoc ${token}: ${key} ${pandocStyle(variant, token)[key] ? "on" : "off"}`);
+      refreshPandocRow(row);
+      renderPreview();
+    });
+    toggles.appendChild(toggle);
+  }
+  row.appendChild(toggles);
+
+  const nameEl = document.createElement("span");
+  nameEl.className = "color-name";
+  nameEl.id = `name-${PANDOC_TARGET_PREFIX}${token}:color`;
+  row.appendChild(nameEl);
+
+  const resetBtn = document.createElement("button");
+  resetBtn.className = "contrast-fix-btn ui-reset-btn";
+  resetBtn.textContent = "Auto";
+  resetBtn.title = "Follow the token's category or scope rule again";
+  resetBtn.addEventListener("click", () => {
+    delete activeVariant().pandoc.tokens[token];
+    recordHistory(`Pandoc ${token}: auto`);
+    refreshPandocRow(row);
+    renderPreview();
+  });
+  row.appendChild(resetBtn);
+
+  refreshPandocRow(row);
+  return row;
+}
+
+function refreshPandocRow(row) {
+  const variant = activeVariant();
+  const { pandocKey: key, pandocToken: token } = row.dataset;
+
+  if (key) {
+    const value = variant.pandoc[key];
+    const fallback = key === "lineNumberColor" ? "text color" : "none";
+    row.querySelector(".color-btn").style.backgroundColor = pandocTargetColor(variant, `${PANDOC_TARGET_PREFIX}${key}`);
+    row.querySelector(".color-btn").classList.toggle("color-btn-unset", !value);
+    row.querySelector(".color-name").textContent = value ? targetColorName(`${PANDOC_TARGET_PREFIX}${key}`) : `auto \u00b7 ${fallback}`;
+    row.querySelector(".ui-reset-btn").hidden = !value;
+    return;
+  }
+
+  const style = pandocStyle(variant, token);
+  const overridden = token in variant.pandoc.tokens;
+  for (const field of ["color", "background"]) {
+    const btn = row.querySelector(`.pandoc-${field}-btn`);
+    btn.style.backgroundColor = pandocTargetColor(variant, `${PANDOC_TARGET_PREFIX}${token}:${field}`);
+    btn.classList.toggle("color-btn-unset", !style[field]);
+  }
+  for (const toggle of row.querySelectorAll(".style-toggle")) {
+    toggle.classList.toggle("active", !!style[toggle.dataset.styleKey]);
+  }
+  const name = style.color ? colorName(style.color) : "text color";
+  row.querySelector(".color-name").textContent = overridden && style.color
+    ? targetColorName(`${PANDOC_TARGET_PREFIX}${token}:color`)
+    : overridden ? name : `auto \u00b7 ${name}`;
+  row.querySelector(".ui-reset-btn").hidden = !overridden;
+}
+
+// Tokens without an override follow category edits, so every row is refreshed after a color change
+function refreshPandocRows() {
+  for (const row of document.querySelectorAll("#sidebar .pandoc-row")) {
+    refreshPandocRow(row);
+  }
+}
+
+// Which UI color groups are expanded; survives sidebar re-renders
+const openUiGroups = new Set();
+
+function createUiColorRow(def) {
+  const targetId = `${UI_COLOR_TARGET_PREFIX}${def.key}`;
+  const row = document.createElement("div");
+  row.className = "token-row";
+  row.title = def.key;
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "token-label";
+  labelEl.textContent = def.label;
+
+  const btn = document.createElement("button");
+  btn.className = "color-btn";
+  btn.dataset.targetId = targetId;
+  btn.addEventListener("click", (e) => openPopover(e, targetId));
+
+  const nameEl = document.createElement("span");
+  nameEl.className = "color-name";
+  nameEl.id = `name-${targetId}`;
+
+  const resetBtn = document.createElement("button");
+  resetBtn.className = "contrast-fix-btn ui-reset-btn";
+  resetBtn.dataset.resetTarget = def.key;
+  resetBtn.textContent = "Auto";
+  resetBtn.title = "Derive this color from the token colors again";
+  resetBtn.addEventListener("click", () => {
+    delete activeVariant().uiColors[def.key];
+    recordHistory(`UI ${def.key}: auto`);
+    refreshUiColorRows();
+    renderPreview();
+  });
+
+  row.appendChild(labelEl);
+  row.appendChild(btn);
+  row.appendChild(nameEl);
+  row.appendChild(resetBtn);
+  refreshUiColorRow(row, def);
+  return row;
+}
+
+function refreshUiColorRow(row, def) {
+  const variant = activeVariant();
+  const hex = uiColor(variant, def.key);
+  const overridden = def.key in variant.uiColors;
+  row.querySelector(".color-btn").style.backgroundColor = hex;
+  row.querySelector(".color-name").textContent = overridden
+    ? targetColorName(`${UI_COLOR_TARGET_PREFIX}${def.key}`)
+    : `auto \u00b7 ${colorName(hex)}`;
+  row.querySelector(".ui-reset-btn").hidden = !overridden;
+}
+
+// Derived colors follow token edits, so every UI row is refreshed after a color change
+function refreshUiColorRows() {
+  for (const btn of document.querySelectorAll(`#sidebar [data-target-id^="${UI_COLOR_TARGET_PREFIX}"]`)) {
+    const key = btn.dataset.targetId.slice(UI_COLOR_TARGET_PREFIX.length);
+    refreshUiColorRow(btn.closest(".token-row"), UI_COLORS.find((def) => def.key === key));
+  }
+}
+
+// Typography applies to both variants; typing coalesces into one history entry per field
+function createTypographyRows() {
+  const row = (label, input) => {
+    const el = document.createElement("label");
+    el.className = "token-row typography-row";
+    const labelEl = document.createElement("span");
+    labelEl.className = "token-label";
+    labelEl.textContent = label;
+    el.appendChild(labelEl);
+    el.appendChild(input);
+    return el;
+  };
+  const update = (key, value, label) => {
+    project.typography = normalizeTypography({ ...project.typography, [key]: value });
+    recordHistory(`Typography: ${label}`, `typography:${key}`);
+    renderPreview();
+  };
+
+  const family = document.createElement("input");
+  family.className = "typography-input typography-family";
+  family.value = project.typography.fontFamily;
+  family.spellcheck = false;
+  family.setAttribute("list", "typography-fonts");
+  family.addEventListener("input", () => {
+    if (family.value.trim()) update("fontFamily", family.value, family.value.trim());
+  });
+  const fonts = document.createElement("datalist");
+  fonts.id = "typography-fonts";
+  for (const name of TYPOGRAPHY_FONTS) {
+    const option = document.createElement("option");
+    option.value = name;
+    fonts.appendChild(option);
+  }
+  const familyRow = row("Font", family);
+  familyRow.appendChild(fonts);
+
+  const rows = [familyRow];
+  for (const field of TYPOGRAPHY_FIELDS) {
+    const input = document.createElement("input");
+    input.className = "typography-input";
+    input.type = "number";
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    input.value = project.typography[field.key];
+    input.addEventListener("input", () => {
+      if (input.value !== "") update(field.key, input.value, `${field.label.toLowerCase()} ${input.value}${field.unit}`);
+    });
+    rows.push(row(field.unit ? `${field.label} (${field.unit})` : field.label, input));
+  }
+
+  const ligatures = document.createElement("input");
+  ligatures.type = "checkbox";
+  ligatures.checked = project.typography.ligatures;
+  ligatures.addEventListener("change", () => {
+    update("ligatures", ligatures.checked, `ligatures ${ligatures.checked ? "on" : "off"}`);
+  });
+  rows.push(row("Ligatures", ligatures));
+  return rows;
+}
+
+function renderHistory() {
+  const list = document.getElementById("history-list");
+  if (!list) return;
+  list.innerHTML = "";
+
+  history.entries.forEach((entry, index) => {
+    const item = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.className = "history-entry";
+    btn.classList.toggle("current", index === history.index);
+    btn.classList.toggle("undone", index > history.index);
+    btn.textContent = entry.label;
+    btn.addEventListener("click", () => jumpToHistory(index));
+    item.appendChild(btn);
+    list.prepend(item);
+  });
+
+  document.getElementById("history-undo").disabled = history.index <= 0;
+  document.getElementById("history-redo").disabled = history.index >= history.entries.length - 1;
+}
+
+const THEME_FILE_LABELS = { "-vscode.json": "VS Code", ".theme": "Pandoc", ".tmTheme": "TextMate" };
+
+function themeFileLabel(filename) {
+  return THEME_FILE_LABELS[THEME_FILE_SUFFIXES.find((suffix) => filename.endsWith(suffix))];
+}
+
+// Lets the user pick a winning file for every conflict. Resolves to false when the
+// load is cancelled.
+function resolveMergeConflicts(merges) {
+  const list = document.getElementById("merge-list");
+  list.innerHTML = "";
+
+  for (const { variant, conflicts } of merges) {
+    if (conflicts.length === 0) continue;
+    const heading = document.createElement("h3");
+    heading.textContent = VARIANTS.find((v) => project.variants[v.id] === variant).label;
+    list.appendChild(heading);
+
+    const table = document.createElement("table");
+    table.className = "import-table";
+    for (const conflict of conflicts) {
+      const tr = document.createElement("tr");
+      const label = document.createElement("td");
+      label.textContent = conflict.target.label;
+      tr.appendChild(label);
+
+      conflict.sources.forEach((source, index) => {
+        const td = document.createElement("td");
+        const option = document.createElement("label");
+        option.className = "merge-option";
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = `merge-${variant.id}-${conflict.target.id}`;
+        radio.checked = index === conflict.choice;
+        radio.addEventListener("change", () => {
+          conflict.choice = index;
+        });
+        option.appendChild(radio);
+
+        const hex = source.variant.state[conflict.target.id];
+        const swatch = document.createElement("span");
+        swatch.className = "merge-swatch";
+        swatch.style.background = hex;
+        option.appendChild(swatch);
+
+        const style = source.variant.styleState[conflict.target.id];
+        const text = document.createElement("span");
+        text.textContent = `${themeFileLabel(source.filename)}: ${colorName(hex)}`;
+        if (style?.bold) text.style.fontWeight = "700";
+        if (style?.italic) text.style.fontStyle = "italic";
+        option.appendChild(text);
+
+        td.appendChild(option);
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    }
+    list.appendChild(table);
+  }
+
+  const dialog = document.getElementById("merge-dialog");
+  dialog.showModal();
+  return new Promise((resolve) => {
+    const finish = (apply) => {
+      dialog.onclose = null;
+      dialog.close();
+      resolve(apply);
+    };
+    document.getElementById("merge-apply").onclick = () => finish(true);
+    document.getElementById("merge-cancel").onclick = () => finish(false);
+    dialog.onclose = () => resolve(false);
+  });
+}
+
+// Imports are listed per file: [{ filename, variant, report }]
+function renderImportReport(imports, warnings = []) {
+  const list = document.getElementById("import-report");
+  list.innerHTML = "";
+
+  for (const warning of warnings) {
+    const row = document.createElement("div");
+    row.className = "import-warning";
+    row.textContent = warning;
+    list.appendChild(row);
+  }
+
+  for (const { filename, variant, report } of imports) {
+    const section = document.createElement("section");
+    section.className = "import-section";
+
+    const mapped = report.rules.filter((entry) => entry.categories.length > 0);
+    const kept = report.rules.filter((entry) => entry.kept);
+    const ignored = report.rules.filter((entry) => entry.categories.length === 0 && !entry.kept);
+
+    const heading = document.createElement("h3");
+    heading.textContent = `${filename} → ${VARIANTS.find((v) => project.variants[v.id] === variant).label}`;
+    section.appendChild(heading);
+
+    const summary = document.createElement("div");
+    summary.className = "contrast-summary-ok";
+    summary.textContent = `${mapped.length} of ${report.rules.length} rules mapped to categories, ${kept.length} kept as rules, ${ignored.length} ignored`;
+    section.appendChild(summary);
+
+    for (const warning of report.warnings) {
+      const row = document.createElement("div");
+      row.className = "import-warning";
+      row.textContent = warning;
+      section.appendChild(row);
+    }
+
+    const table = document.createElement("table");
+    table.className = "import-table";
+    for (const entry of [...mapped, ...kept, ...ignored]) {
+      const tr = document.createElement("tr");
+      tr.classList.toggle("ignored", ignored.includes(entry));
+
+      const selector = document.createElement("td");
+      selector.className = "import-selector";
+      selector.textContent = entry.selector;
+      tr.appendChild(selector);
+
+      const result = document.createElement("td");
+      if (entry.categories.length > 0) {
+        result.textContent = entry.categories.map((id) => TOKEN_CATEGORIES.find((cat) => cat.id === id).label).join(", ");
+      } else if (entry.kept) {
+        result.textContent = `Kept as ${entry.kept}`;
+      } else {
+        result.textContent = `Ignored: ${entry.reason}`;
+      }
+      tr.appendChild(result);
+      table.appendChild(tr);
+    }
+    section.appendChild(table);
+    list.appendChild(section);
+  }
+}
+
+function renderLibrary() {
+  const list = document.getElementById("library-list");
+  list.innerHTML = "";
+
+  const themes = loadLibrary();
+  if (themes.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "contrast-summary-ok";
+    empty.textContent = "No saved themes yet.";
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const entry of themes) {
+    const row = document.createElement("div");
+    row.className = "library-row";
+
+    for (const v of VARIANTS) {
+      const swatch = document.createElement("span");
+      swatch.className = "library-swatch";
+      const variantState = entry.snapshot.variants?.[v.id]?.state;
+      if (variantState) {
+        swatch.style.background = `linear-gradient(135deg, ${variantState.background} 50%, ${variantState.keyword} 50%)`;
+      }
+      row.appendChild(swatch);
+    }
+
+    const nameInput = document.createElement("input");
+    nameInput.className = "library-name";
+    nameInput.value = entry.name;
+    nameInput.title = `Saved ${new Date(entry.savedAt).toLocaleString()}`;
+    nameInput.addEventListener("change", () => {
+      renameInLibrary(entry.id, nameInput.value.trim());
+      renderLibrary();
+    });
+    row.appendChild(nameInput);
+
+    for (const [text, action] of [
+      ["Open", () => {
+        openFromLibrary(entry.id);
+        document.getElementById("library-dialog").close();
+      }],
+      ["Duplicate", () => {
+        duplicateInLibrary(entry.id);
+        renderLibrary();
+      }],
+      ["Delete", () => {
+        if (!confirm(`Delete "${entry.name}"?`)) return;
+        deleteFromLibrary(entry.id);
+        renderLibrary();
+      }],
+    ]) {
+      const btn = document.createElement("button");
+      btn.className = "contrast-fix-btn";
+      btn.textContent = text;
+      btn.addEventListener("click", action);
+      row.appendChild(btn);
+    }
+
+    list.appendChild(row);
+  }
+}
+
+// Palette edits change color names everywhere, so the sidebar is redrawn after each one
+function paletteEdited() {
+  savePalettes();
+  renderSidebar();
+}
+
+function renderPaletteManager() {
+  const manager = document.getElementById("palette-manager");
+  manager.innerHTML = "";
+
+  for (const palette of allPalettes()) {
+    const row = document.createElement("div");
+    row.className = "library-row";
+
+    const swatch = document.createElement("span");
+    swatch.className = "library-swatch";
+    const preview = paletteColors(palette).slice(0, 4).map((c) => c.hex);
+    if (preview.length > 0) {
+      swatch.style.background = `conic-gradient(${preview.map((hex, i) => `${hex} ${(i * 100) / preview.length}% ${((i + 1) * 100) / preview.length}%`).join(", ")})`;
+    }
+    row.appendChild(swatch);
+
+    const nameInput = document.createElement("input");
+    nameInput.className = "library-name";
+    nameInput.value = palette.name;
+    nameInput.disabled = !!palette.builtIn;
+    nameInput.title = `${paletteColors(palette).length} colors`;
+    nameInput.addEventListener("change", () => {
+      palette.name = nameInput.value.trim() || palette.name;
+      paletteEdited();
+      renderPaletteManager();
+    });
+    row.appendChild(nameInput);
+
+    const actions = [
+      [palette.id === activePalette().id ? "Active" : "Use", () => {
+        switchPalette(palette.id);
+        renderPaletteManager();
+      }],
+      ["Duplicate", () => {
+        duplicatePalette(palette.id);
+        paletteEdited();
+        renderPaletteManager();
+      }],
+      ["Download", () => {
+        const json = JSON.stringify({ name: palette.name, groups: palette.groups }, null, 2);
+        downloadBlob(new Blob([json], { type: "application/json" }), `${slugify(palette.name)}-palette.json`);
+      }],
+    ];
+    if (!palette.builtIn) {
+      actions.push(["Delete", () => {
+        if (!confirm(`Delete the palette "${palette.name}"?`)) return;
+        deletePalette(palette.id);
+        renderSidebar();
+        renderPaletteManager();
+      }]);
+    }
+    for (const [text, action] of actions) {
+      const btn = document.createElement("button");
+      btn.className = "contrast-fix-btn";
+      btn.textContent = text;
+      btn.disabled = text === "Active";
+      btn.addEventListener("click", action);
+      row.appendChild(btn);
+    }
+    manager.appendChild(row);
+  }
+
+  const palette = activePalette();
+  const heading = document.createElement("div");
+  heading.className = "section-label";
+  heading.textContent = `Swatches in ${palette.name}`;
+  manager.appendChild(heading);
+
+  if (palette.builtIn) {
+    const note = document.createElement("p");
+    note.className = "export-name-note";
+    note.textContent = "The built-in Arcadia palette is read-only. Duplicate it to edit groups and swatches.";
+    manager.appendChild(note);
+  }
+
+  for (const [groupName, colors] of Object.entries(palette.groups)) {
+    manager.appendChild(createPaletteGroupEditor(palette, groupName, colors));
+  }
+
+  if (!palette.builtIn) {
+    const addGroupBtn = document.createElement("button");
+    addGroupBtn.className = "contrast-fix-btn rule-add-btn";
+    addGroupBtn.textContent = "Add group";
+    addGroupBtn.addEventListener("click", () => {
+      let name = "group";
+      for (let i = 2; name in palette.groups; i++) name = `group-${i}`;
+      palette.groups[name] = [];
+      paletteEdited();
+      renderPaletteManager();
+    });
+    manager.appendChild(addGroupBtn);
+  }
+}
+
+function createPaletteGroupEditor(palette, groupName, colors) {
+  const readOnly = !!palette.builtIn;
+  const group = document.createElement("div");
+  group.className = "palette-edit-group";
+
+  const header = document.createElement("div");
+  header.className = "palette-edit-row";
+  const groupInput = document.createElement("input");
+  groupInput.className = "library-name palette-group-name";
+  groupInput.value = groupName;
+  groupInput.disabled = readOnly;
+  groupInput.addEventListener("change", () => {
+    const name = groupInput.value.trim();
+    if (!name || (name !== groupName && name in palette.groups)) {
+      groupInput.value = groupName;
+      return;
+    }
+    // Rebuild the object so the renamed group keeps its position
+    palette.groups = Object.fromEntries(
+      Object.entries(palette.groups).map(([key, value]) => [key === groupName ? name : key, value])
+    );
+    paletteEdited();
+    renderPaletteManager();
+  });
+  header.appendChild(groupInput);
+
+  if (!readOnly) {
+    const removeGroupBtn = document.createElement("button");
+    removeGroupBtn.className = "contrast-fix-btn";
+    removeGroupBtn.textContent = "Remove group";
+    removeGroupBtn.addEventListener("click", () => {
+      delete palette.groups[groupName];
+      paletteEdited();
+      renderPaletteManager();
+    });
+    header.appendChild(removeGroupBtn);
+  }
+  group.appendChild(header);
+
+  colors.forEach((color, index) => {
+    const row = document.createElement("div");
+    row.className = "palette-edit-row";
+
+    const colorInput = document.createElement("input");
+    colorInput.type = "color";
+    colorInput.className = "custom-color-input";
+    colorInput.value = color.hex.toLowerCase();
+    colorInput.disabled = readOnly;
+    colorInput.addEventListener("change", () => {
+      color.hex = colorInput.value.toUpperCase();
+      hexLabel.textContent = color.hex;
+      paletteEdited();
+    });
+
+    const nameInput = document.createElement("input");
+    nameInput.className = "library-name";
+    nameInput.value = color.name;
+    nameInput.disabled = readOnly;
+    nameInput.addEventListener("change", () => {
+      color.name = swatchName(nameInput.value, color.name);
+      nameInput.value = color.name;
+      paletteEdited();
+    });
+
+    const hexLabel = document.createElement("span");
+    hexLabel.className = "color-name";
+    hexLabel.textContent = color.hex;
+
+    row.appendChild(colorInput);
+    row.appendChild(nameInput);
+    row.appendChild(hexLabel);
+
+    if (!readOnly) {
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "rule-remove";
+      removeBtn.textContent = "\u00d7";
+      removeBtn.title = `Remove ${color.name}`;
+      removeBtn.addEventListener("click", () => {
+        colors.splice(index, 1);
+        paletteEdited();
+        renderPaletteManager();
+      });
+      row.appendChild(removeBtn);
+    }
+    group.appendChild(row);
+  });
+
+  if (!readOnly) {
+    const addBtn = document.createElement("button");
+    addBtn.className = "contrast-fix-btn";
+    addBtn.textContent = "Add swatch";
+    addBtn.addEventListener("click", () => {
+      colors.push({ name: `color-${colors.length + 1}`, hex: "#808080" });
+      paletteEdited();
+      renderPaletteManager();
+    });
+    group.appendChild(addBtn);
+  }
+  return group;
+}
+
+// Changes grouped by theme and variant, each with before/after swatches
+function renderResyncReport(report) {
+  const list = document.getElementById("resync-report");
+  list.innerHTML = "";
+
+  if (report.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "contrast-summary-ok";
+    empty.textContent = "Every palette color already matches its palette.";
+    list.appendChild(empty);
+    return;
+  }
+
+  const swatch = (hex) => {
+    const el = document.createElement("span");
+    el.className = "merge-swatch";
+    el.style.background = hex;
+    return el;
+  };
+
+  const groups = new Map();
+  for (const change of report) {
+    const heading = `${change.theme} \u00b7 ${VARIANTS.find((v) => v.id === change.variantId).label}`;
+    if (!groups.has(heading)) groups.set(heading, []);
+    groups.get(heading).push(change);
+  }
+  for (const [heading, changes] of groups) {
+    const section = document.createElement("section");
+    section.className = "import-section";
+    const title = document.createElement("h3");
+    title.textContent = heading;
+    section.appendChild(title);
+
+    const table = document.createElement("table");
+    table.className = "import-table";
+    for (const change of changes) {
+      const tr = document.createElement("tr");
+      tr.classList.toggle("ignored", !change.to);
+
+      const label = document.createElement("td");
+      label.textContent = change.label;
+      const ref = document.createElement("td");
+      ref.className = "import-selector";
+      ref.textContent = paletteRefLabel(change.ref);
+      const result = document.createElement("td");
+      result.className = "merge-option";
+      result.appendChild(swatch(change.from));
+      if (change.to) {
+        result.appendChild(document.createTextNode(`${change.from.toUpperCase()} \u2192`));
+        result.appendChild(swatch(change.to));
+        result.appendChild(document.createTextNode(change.to.toUpperCase()));
+      } else {
+        result.appendChild(document.createTextNode(`No longer in the palette; kept ${change.from.toUpperCase()}`));
+      }
+      tr.append(label, ref, result);
+      table.appendChild(tr);
+    }
+    section.appendChild(table);
+    list.appendChild(section);
+  }
+}
+
+function createVariantSwitcher() {
+  const row = document.createElement("div");
+  row.className = "variant-row";
+
+  for (const v of VARIANTS) {
+    const btn = document.createElement("button");
+    btn.className = "variant-btn";
+    btn.classList.toggle("active", project.active === v.id);
+    btn.textContent = v.label;
+    btn.addEventListener("click", () => switchVariant(v.id));
+    row.appendChild(btn);
+  }
+
+  const deriveBtn = document.createElement("button");
+  deriveBtn.className = "contrast-fix-btn variant-derive-btn";
+  deriveBtn.textContent = "Derive dark from light";
+  deriveBtn.title = "Replace the dark variant with palette counterparts of the light colors";
+  deriveBtn.addEventListener("click", () => {
+    deriveDarkVariant();
+    recordHistory("Derive dark from light");
+    renderSidebar();
+    renderPreview();
+  });
+  row.appendChild(deriveBtn);
+
+  return row;
+}
+
+function renderCvdReport() {
+  const report = document.getElementById("cvd-report");
+  if (!report) return;
+  report.innerHTML = "";
+
+  let total = 0;
+  for (const type of CVD_TYPES) {
+    const pairs = confusableTokenPairs(type.id);
+    if (pairs.length === 0) continue;
+    total += pairs.length;
+
+    const heading = document.createElement("div");
+    heading.className = "cvd-report-type";
+    heading.textContent = type.label;
+    report.appendChild(heading);
+
+    for (const { a, b, distance } of pairs) {
+      const row = document.createElement("div");
+      row.className = "cvd-pair";
+      for (const cat of [a, b]) {
+        const swatch = document.createElement("span");
+        swatch.className = "cvd-pair-swatch";
+        swatch.style.backgroundColor = simulateCvd(state[cat.id], type.id);
+        row.appendChild(swatch);
+      }
+      const label = document.createElement("span");
+      label.textContent = `${a.label} / ${b.label}`;
+      row.appendChild(label);
+      const delta = document.createElement("span");
+      delta.className = "cvd-pair-distance";
+      delta.textContent = `ΔE ${distance.toFixed(1)}`;
+      row.appendChild(delta);
+      report.appendChild(row);
+    }
+  }
+
+  if (total === 0) {
+    const ok = document.createElement("div");
+    ok.className = "contrast-summary-ok";
+    ok.textContent = "No confusable token pairs under simulated color vision deficiencies.";
+    report.appendChild(ok);
+  }
+}
+
+function renderContrast() {
+  for (const target of contrastTargets()) {
+    const badge = document.getElementById(`contrast-${target.id}`);
+    if (!badge) continue;
+    const ratio = contrastRatio(state[target.id], state.background);
+    const level = contrastLevel(ratio);
+    badge.textContent = `${ratio.toFixed(1)} ${level}`;
+    badge.className = `contrast-badge contrast-${level.toLowerCase()}`;
+    badge.title = `Contrast ratio ${ratio.toFixed(2)}:1 against the background`;
+  }
+
+  const summary = document.getElementById("contrast-summary");
+  if (!summary) return;
+  summary.innerHTML = "";
+
+  const failures = contrastFailures();
+  if (failures.length === 0) {
+    const ok = document.createElement("div");
+    ok.className = "contrast-summary-ok";
+    ok.textContent = "All colors pass WCAG AA against the background.";
+    summary.appendChild(ok);
+    return;
+  }
+
+  const fixes = [];
+  for (const target of failures) {
+    const row = document.createElement("div");
+    row.className = "contrast-failure";
+
+    const label = document.createElement("span");
+    label.className = "contrast-failure-label";
+    label.textContent = `${target.label} ${contrastRatio(state[target.id], state.background).toFixed(1)}`;
+    row.appendChild(label);
+
+    const suggestion = suggestPassingColor(state[target.id], state.background);
+    if (suggestion) {
+      fixes.push([target.id, suggestion.hex]);
+      const fixBtn = document.createElement("button");
+      fixBtn.className = "contrast-fix-btn";
+      fixBtn.title = `Use ${suggestion.name} (${suggestion.hex})`;
+      fixBtn.addEventListener("click", () => selectColor(target.id, suggestion.hex));
+
+      const swatch = document.createElement("span");
+      swatch.className = "contrast-fix-swatch";
+      swatch.style.backgroundColor = suggestion.hex;
+      fixBtn.appendChild(swatch);
+      fixBtn.appendChild(document.createTextNode(suggestion.name));
+      row.appendChild(fixBtn);
+    }
+
+    summary.appendChild(row);
+  }
+
+  if (fixes.length > 1) {
+    const fixAllBtn = document.createElement("button");
+    fixAllBtn.className = "contrast-fix-btn contrast-fix-all";
+    fixAllBtn.textContent = "Fix all";
+    fixAllBtn.addEventListener("click", () => {
+      for (const [id, hex] of fixes) {
+        setTargetColor(id, hex);
+        setPaletteRef(activeVariant(), id, paletteRefForHex(hex));
+      }
+      recordHistory("Fix contrast");
+      renderSidebar();
+      renderPreview();
+    });
+    summary.appendChild(fixAllBtn);
+  }
+}
+
+function createTokenRow(id, label) {
+  const row = document.createElement("div");
+  row.className = "token-row";
+
+  const labelEl = document.createElement("span");
+  labelEl.className = "token-label";
+  labelEl.textContent = label;
+
+  const btn = document.createElement("button");
+  btn.className = "color-btn";
+  btn.style.backgroundColor = state[id];
+  btn.dataset.targetId = id;
+  btn.addEventListener("click", (e) => openPopover(e, id));
+
+  const nameEl = document.createElement("span");
+  nameEl.className = "color-name";
+  nameEl.id = `name-${id}`;
+  nameEl.textContent = targetColorName(id);
+
+  row.appendChild(labelEl);
+  row.appendChild(btn);
+
+  if (styleState[id]) {
+    const toggles = document.createElement("div");
+    toggles.className = "style-toggles";
+
+    const boldBtn = document.createElement("button");
+    boldBtn.className = "style-toggle style-toggle-bold";
+    if (styleState[id].bold) boldBtn.classList.add("active");
+    boldBtn.textContent = "B";
+    boldBtn.addEventListener("click", () => {
+      styleState[id].bold = !styleState[id].bold;
+      boldBtn.classList.toggle("active");
+      recordHistory(`${label}: bold ${styleState[id].bold ? "on" : "off"}`);
+      renderPreview();
+    });
+
+    const italicBtn = document.createElement("button");
+    italicBtn.className = "style-toggle style-toggle-italic";
+    if (styleState[id].italic) italicBtn.classList.add("active");
+    italicBtn.textContent = "I";
+    italicBtn.addEventListener("click", () => {
+      styleState[id].italic = !styleState[id].italic;
+      italicBtn.classList.toggle("active");
+      recordHistory(`${label}: italic ${styleState[id].italic ? "on" : "off"}`);
+      renderPreview();
+    });
+
+    toggles.appendChild(boldBtn);
+    toggles.appendChild(italicBtn);
+    row.appendChild(toggles);
+  }
+
+  row.appendChild(nameEl);
+
+  if (id !== "background") {
+    const badge = document.createElement("span");
+    badge.className = "contrast-badge";
+    badge.id = `contrast-${id}`;
+    row.appendChild(badge);
+  }
+
+  return row;
+}
+
+// --- Popover ---
+
+function openPopover(e, targetId) {
+  const popover = document.getElementById("popover");
+
+  if (activePopoverTarget === targetId) {
+    closePopover();
+    return;
+  }
+
+  activePopoverTarget = targetId;
+  renderPopover(targetId);
+
+  const btnRect = e.currentTarget.getBoundingClientRect();
+  popover.style.top = `${btnRect.bottom + 6}px`;
+  popover.style.left = `${btnRect.left}px`;
+  popover.classList.add("open");
+}
+
+function renderPopover(targetId) {
+  const popover = document.getElementById("popover");
+  popover.innerHTML = "";
+
+  const palettes = allPalettes();
+  if (palettes.length > 1) {
+    const paletteSelect = document.createElement("select");
+    paletteSelect.className = "preview-select popover-palette";
+    paletteSelect.title = "Active palette";
+    for (const palette of palettes) {
+      const option = document.createElement("option");
+      option.value = palette.id;
+      option.textContent = palette.name;
+      paletteSelect.appendChild(option);
+    }
+    paletteSelect.value = activePalette().id;
+    paletteSelect.addEventListener("change", () => {
+      switchPalette(paletteSelect.value);
+      renderPopover(targetId);
+    });
+    popover.appendChild(paletteSelect);
+  }
+
+  for (const [groupName, colors] of Object.entries(activePalette().groups)) {
+    const groupLabel = document.createElement("div");
+    groupLabel.className = "palette-group-label";
+    groupLabel.textContent = groupName;
+    popover.appendChild(groupLabel);
+
+    const grid = document.createElement("div");
+    grid.className = "palette-grid";
+
+    for (const color of colors) {
+      const swatch = document.createElement("button");
+      swatch.className = "swatch";
+      if (color.hex.toUpperCase() === getTargetColor(targetId).toUpperCase()) {
+        swatch.classList.add("selected");
+      }
+      swatch.style.backgroundColor = color.hex;
+      swatch.dataset.tooltip = `${color.name} (${color.hex})`;
+      swatch.addEventListener("click", () => selectColor(targetId, color.hex, paletteRef(activePalette().id, groupName, color.name)));
+      grid.appendChild(swatch);
+    }
+
+    popover.appendChild(grid);
+  }
+
+  const customRow = document.createElement("div");
+  customRow.className = "custom-color-row";
+
+  const customInput = document.createElement("input");
+  customInput.type = "color";
+  customInput.className = "custom-color-input";
+  customInput.value = getTargetColor(targetId);
+  customInput.addEventListener("input", (ev) => selectColor(targetId, ev.target.value, undefined, { coalesce: true }));
+  // Fires when the picker is released or dismissed, ending the drag
+  customInput.addEventListener("change", endHistoryCoalescing);
 
   const customLabel = document.createElement("span");
   customLabel.className = "custom-color-label";
@@ -891,26 +4035,25 @@ function openPopover(e, targetId) {
   customRow.appendChild(customInput);
   customRow.appendChild(customLabel);
   popover.appendChild(customRow);
-
-  const btnRect = e.currentTarget.getBoundingClientRect();
-  popover.style.top = `${btnRect.bottom + 6}px`;
-  popover.style.left = `${btnRect.left}px`;
-  popover.classList.add("open");
 }
 
 function closePopover() {
+  endHistoryCoalescing();
   document.getElementById("popover").classList.remove("open");
   activePopoverTarget = null;
 }
 
-function selectColor(targetId, hex) {
-  state[targetId] = hex;
+// Dragging the custom color input passes `coalesce` so the drag is one history entry;
+// every swatch click gets its own
+function selectColor(targetId, hex, ref = paletteRefForHex(hex), { coalesce = false } = {}) {
+  setTargetColor(targetId, hex);
+  setPaletteRef(activeVariant(), targetId, ref);
 
   const btn = document.querySelector(`[data-target-id="${targetId}"]`);
   btn.style.backgroundColor = hex;
 
   const nameEl = document.getElementById(`name-${targetId}`);
-  nameEl.textContent = colorName(hex);
+  if (nameEl) nameEl.textContent = targetColorName(targetId);
 
   const popover = document.getElementById("popover");
   for (const swatch of popover.querySelectorAll(".swatch")) {
@@ -918,6 +4061,14 @@ function selectColor(targetId, hex) {
     swatch.classList.toggle("selected", matches);
   }
 
+  recordHistory(
+    `${targetLabel(targetId)}: ${targetColorName(targetId)}`,
+    coalesce ? `color:${project.active}:${targetId}` : null
+  );
+  refreshUiColorRows();
+  refreshPandocRows();
+  renderContrast();
+  renderCvdReport();
   renderPreview();
 }
 
@@ -932,26 +4083,565 @@ document.addEventListener("click", (e) => {
   }
 });
 
+// --- Theme comparison ---
+
+// A second theme shown next to the project. `base` holds the project's variants as
+// they were when the dialog opened or the theme was loaded, so a change taken from
+// the compared theme can be taken back. The compared theme may have only one variant.
+const compareState = {
+  filename: null,
+  theme: null,
+  base: null,
+  swipe: false,
+  position: 50,
+};
+
+// Reads a theme file, zip or document without touching the project. Returns
+// { name, variants: { [variantId]: variant } } with the variants the upload had.
+async function loadComparison(file) {
+  if (file.name.endsWith(THEME_DOCUMENT_SUFFIX)) {
+    const theme = loadThemeDocument(await file.text());
+    return { name: theme.name, variants: theme.variants };
+  }
+  if (!file.name.endsWith(".zip")) {
+    return loadComparisonFiles([{ filename: file.name, content: await file.text() }]);
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (err) {
+    throw new Error(`Not a readable zip archive (${err.message})`);
+  }
+  const filenames = Object.keys(zip.files).filter((f) => !zip.files[f].dir && !f.startsWith("__MACOSX/"));
+  const documentFile = filenames.find((f) => f.endsWith(THEME_DOCUMENT_SUFFIX));
+  if (documentFile) {
+    try {
+      const theme = loadThemeDocument(await zip.files[documentFile].async("string"));
+      return { name: theme.name, variants: theme.variants };
+    } catch (err) {
+      throw new Error(`${documentFile}: ${err.message}`);
+    }
+  }
+  const files = [];
+  for (const filename of themeFilesInOrder(filenames)) {
+    files.push({ filename, content: await zip.files[filename].async("string") });
+  }
+  if (files.length === 0) {
+    throw new Error(`No theme files found; expected names ending in ${THEME_DOCUMENT_SUFFIX}, -vscode.json, .theme or .tmTheme`);
+  }
+  return loadComparisonFiles(files);
+}
+
+// The first file of each variant wins; files without a -light/-dark suffix become
+// whichever variant their background suits
+function loadComparisonFiles(files) {
+  const comparison = { name: null, variants: {} };
+  for (const { filename, content } of files) {
+    const variant = createTheme().variants.light;
+    let report;
+    try {
+      report = loadThemeFromFile(filename, content, variant);
+    } catch (err) {
+      throw new Error(files.length > 1 ? `${filename}: ${err.message}` : err.message);
+    }
+    const variantId = variantIdForFile(filename) || (isLightBackground(variant.state.background) ? "light" : "dark");
+    if (comparison.variants[variantId]) continue;
+    variant.id = variantId;
+    variant.paletteRefs = inferPaletteRefs(variant);
+    comparison.variants[variantId] = variant;
+    comparison.name ??= report.name && baseThemeName(report.name);
+  }
+  return comparison;
+}
+
+function comparedVariant() {
+  return compareState.theme?.variants[project.active] || null;
+}
+
+function sameTargetValue(a, b, targetId) {
+  const styleA = a.styleState[targetId];
+  const styleB = b.styleState[targetId];
+  return (
+    a.state[targetId].toUpperCase() === b.state[targetId].toUpperCase() &&
+    !!styleA?.bold === !!styleB?.bold &&
+    !!styleA?.italic === !!styleB?.italic
+  );
+}
+
+// Copies one target's color, style and palette reference from either side
+function takeComparedTarget(targetId, source, sourceName) {
+  const variant = activeVariant();
+  variant.state[targetId] = source.state[targetId];
+  if (source.styleState[targetId]) variant.styleState[targetId] = { ...source.styleState[targetId] };
+  setPaletteRef(variant, targetId, source.paletteRefs[targetId] || paletteRefForHex(source.state[targetId]));
+  recordHistory(`${targetLabel(targetId)} from ${sourceName}`);
+  renderSidebar();
+  renderPreview();
+  renderComparison();
+}
+
+function compareCell(targetId, source, sourceName) {
+  const td = document.createElement("td");
+  const button = document.createElement("button");
+  button.className = "compare-take";
+  button.classList.toggle("selected", sameTargetValue(activeVariant(), source, targetId));
+  button.title = `Use ${sourceName}'s value`;
+  button.addEventListener("click", () => takeComparedTarget(targetId, source, sourceName));
+
+  const hex = source.state[targetId];
+  const swatch = document.createElement("span");
+  swatch.className = "merge-swatch";
+  swatch.style.background = hex;
+  button.appendChild(swatch);
+
+  const text = document.createElement("span");
+  text.textContent = `${hex.toUpperCase()} ${targetColorName(targetId, source)}`;
+  const style = source.styleState[targetId];
+  if (style?.bold) text.style.fontWeight = "700";
+  if (style?.italic) text.style.fontStyle = "italic";
+  button.appendChild(text);
+
+  const flags = [style?.bold && "B", style?.italic && "I"].filter(Boolean).join(" ");
+  if (flags) button.appendChild(document.createTextNode(flags));
+
+  td.appendChild(button);
+  return td;
+}
+
+function renderComparisonDiff() {
+  const list = document.getElementById("compare-diff");
+  list.innerHTML = "";
+  const theirs = comparedVariant();
+  if (!theirs) return;
+  const ours = compareState.base[project.active];
+  const ourName = themeName();
+  const theirName = compareState.theme.name || compareState.filename;
+
+  const table = document.createElement("table");
+  table.className = "import-table compare-table";
+  const head = document.createElement("tr");
+  for (const heading of ["", ourName, theirName]) {
+    const th = document.createElement("th");
+    th.textContent = heading;
+    head.appendChild(th);
+  }
+  table.appendChild(head);
+
+  const targets = [...GLOBAL_SETTINGS, ...TOKEN_CATEGORIES];
+  // Changed targets first, in sidebar order
+  const changed = targets.filter((t) => !sameTargetValue(ours, theirs, t.id));
+  for (const target of [...changed, ...targets.filter((t) => !changed.includes(t))]) {
+    const tr = document.createElement("tr");
+    tr.classList.toggle("unchanged", !changed.includes(target));
+    const label = document.createElement("td");
+    label.textContent = target.label;
+    tr.append(label, compareCell(target.id, ours, ourName), compareCell(target.id, theirs, theirName));
+    table.appendChild(tr);
+  }
+  list.appendChild(table);
+
+  document.getElementById("compare-summary").textContent = changed.length === 0
+    ? `${theirName} matches ${ourName} in every category.`
+    : `${changed.length} of ${targets.length} colors and styles differ. Click a value to use it in ${ourName}.`;
+}
+
+async function renderComparisonPreview() {
+  const output = document.getElementById("compare-preview");
+  const theirs = comparedVariant();
+  if (!theirs) {
+    output.innerHTML = "";
+    return;
+  }
+  const { code, lang } = previewCode();
+  const [ourHtml, theirHtml] = await Promise.all([renderCode(code, lang), renderCode(code, lang, theirs)]);
+  const ourName = escapeHtml(themeName());
+  const theirName = escapeHtml(compareState.theme.name || compareState.filename);
+  if (compareState.swipe) {
+    output.innerHTML = `<div class="preview-panel-label">${ourName} | ${theirName}</div><div class="compare-swipe" style="--swipe:${compareState.position}%"><div class="compare-swipe-layer">${ourHtml}</div><div class="compare-swipe-layer theirs">${theirHtml}</div><div class="compare-swipe-handle"></div></div>`;
+    return;
+  }
+  output.innerHTML = `<div class="preview-split">${previewPanel(ourName, ourHtml)}${previewPanel(theirName, theirHtml)}</div>`;
+}
+
+function renderComparison() {
+  const loaded = !!compareState.theme;
+  document.getElementById("compare-toolbar").hidden = !loaded;
+  if (!loaded) return;
+
+  const select = document.getElementById("compare-variant");
+  select.innerHTML = "";
+  for (const v of VARIANTS) {
+    const option = document.createElement("option");
+    option.value = v.id;
+    option.textContent = compareState.theme.variants[v.id] ? v.label : `${v.label} (not in ${compareState.filename})`;
+    option.disabled = !compareState.theme.variants[v.id];
+    select.appendChild(option);
+  }
+  select.value = project.active;
+
+  document.getElementById("compare-swipe-toggle").classList.toggle("active", compareState.swipe);
+  document.getElementById("compare-swipe-range").hidden = !compareState.swipe;
+
+  if (!comparedVariant()) {
+    document.getElementById("compare-summary").textContent =
+      `${compareState.filename} has no ${project.active} variant; pick another variant to compare.`;
+  }
+  renderComparisonDiff();
+  renderComparisonPreview();
+}
+
+// --- VS Code extension packaging ---
+
+const PREVIEW_IMAGE_LINES = 28;
+const PREVIEW_IMAGE_PANEL_WIDTH = 640;
+const PREVIEW_IMAGE_LINE_HEIGHT = 20;
+const PREVIEW_IMAGE_PADDING = 20;
+
+// Paints the start of the Python sample in every variant side by side, for the README
+async function renderPreviewImage() {
+  const code = CODE_SAMPLE.split("\n").slice(0, PREVIEW_IMAGE_LINES).join("\n");
+  const canvas = document.createElement("canvas");
+  canvas.width = PREVIEW_IMAGE_PANEL_WIDTH * VARIANTS.length;
+  canvas.height = PREVIEW_IMAGE_LINES * PREVIEW_IMAGE_LINE_HEIGHT + PREVIEW_IMAGE_PADDING * 2;
+  const ctx = canvas.getContext("2d");
+  ctx.textBaseline = "top";
+
+  for (const [i, v] of VARIANTS.entries()) {
+    const { tokens, fg, bg } = await codeToTokens(code, {
+      lang: "python",
+      theme: buildShikiTheme(project.variants[v.id]),
+    });
+    const left = i * PREVIEW_IMAGE_PANEL_WIDTH;
+    ctx.fillStyle = bg;
+    ctx.fillRect(left, 0, PREVIEW_IMAGE_PANEL_WIDTH, canvas.height);
+
+    tokens.forEach((line, row) => {
+      let x = left + PREVIEW_IMAGE_PADDING;
+      const y = PREVIEW_IMAGE_PADDING + row * PREVIEW_IMAGE_LINE_HEIGHT;
+      for (const token of line) {
+        const italic = token.fontStyle > 0 && token.fontStyle & SHIKI_ITALIC ? "italic " : "";
+        const weight = token.fontStyle > 0 && token.fontStyle & SHIKI_BOLD ? "700" : "300";
+        ctx.font = `${italic}${weight} 13px "Chivo Mono", ui-monospace, monospace`;
+        ctx.fillStyle = token.color || fg;
+        ctx.fillText(token.content, x, y);
+        x += ctx.measureText(token.content).width;
+      }
+    });
+  }
+
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+// A .vsix is a zip with an OPC content-types file, a manifest and the extension folder
+async function buildVsix(theme) {
+  const vsix = new JSZip();
+  vsix.file("[Content_Types].xml", buildVsixContentTypes());
+  vsix.file("extension.vsixmanifest", buildVsixManifest(theme));
+  vsix.file("extension/package.json", buildVscodeManifest(theme));
+  vsix.file("extension/README.md", buildExtensionReadme(theme));
+  vsix.file("extension/images/preview.png", await renderPreviewImage());
+  for (const v of VARIANTS) {
+    vsix.file(`extension/${vscodeExtensionThemePath(theme, v.id)}`, buildVscodeTheme(theme, v.id));
+  }
+  return vsix.generateAsync({ type: "uint8array" });
+}
+
 // --- File export ---
 
-async function exportZip() {
-  const name = themeName();
-  const zip = new JSZip();
-  zip.file(`${name}.tmTheme`, buildTmTheme());
-  zip.file(`${name}.theme`, buildPandocTheme());
-  zip.file(`${name}-vscode.json`, buildVscodeTheme());
-  const blob = await zip.generateAsync({ type: "blob" });
+// The core's text formats plus the .vsix package, which needs JSZip and a canvas;
+// binary formats have no preview `lang`
+const EXPORT_FORMATS = THEME_FORMATS.flatMap((format) => [
+  format,
+  ...(format.id === "vscode-settings"
+    ? [{ id: "vsix", label: "VS Code extension (.vsix)", lang: null, perVariant: false, filename: (slug) => `${slug}.vsix`, build: buildVsix }]
+    : []),
+]);
+
+const DEFAULT_EXPORT_FORMATS = ["tmTheme", "pandoc", "vscode", "vsix"];
+
+// Too slow to rebuild for every preview (the .vsix renders a PNG and zips); the dialog
+// lists them with null content and they're built when downloaded
+const DEFERRED_EXPORT_FORMATS = ["vsix"];
+const EXPORT_PREVIEW_FORMATS = EXPORT_FORMATS.map((format) =>
+  DEFERRED_EXPORT_FORMATS.includes(format.id) ? { ...format, build: () => null } : format
+);
+
+// Every export carries the theme document so the zip loads back without loss
+const REQUIRED_EXPORT_FORMATS = ["arcadia-theme"];
+
+const METADATA_FIELDS = [
+  { key: "author", label: "Author" },
+  { key: "license", label: "License", placeholder: "e.g. MIT" },
+  { key: "description", label: "Description", placeholder: "Used in the VS Code extension and tmTheme" },
+];
+
+const exportState = {
+  files: [],
+  selected: null,
+  // Bumped per render so a slower, older render can't overwrite a newer one
+  generation: 0,
+  metadataTimer: null,
+};
+
+function loadExportFormats() {
+  const saved = readStorage(EXPORT_FORMATS_STORAGE_KEY, DEFAULT_EXPORT_FORMATS);
+  return new Set([...REQUIRED_EXPORT_FORMATS, ...(Array.isArray(saved) ? saved : DEFAULT_EXPORT_FORMATS)]);
+}
+
+function saveExportFormats(formatIds) {
+  writeStorage(EXPORT_FORMATS_STORAGE_KEY, [...formatIds]);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = `${name}.zip`;
+  a.download = filename;
   a.click();
   URL.revokeObjectURL(url);
 }
 
+async function downloadExportFile(file) {
+  const content = file.content ?? (await EXPORT_FORMATS.find((f) => f.id === file.format.id).build(currentTheme()));
+  const type = file.format.lang ? "text/plain" : "application/octet-stream";
+  downloadBlob(new Blob([content], { type }), file.name);
+}
+
+async function renderExportDialog() {
+  const list = document.getElementById("export-formats");
+  list.innerHTML = "";
+  const selected = loadExportFormats();
+
+  for (const format of EXPORT_FORMATS) {
+    const label = document.createElement("label");
+    label.className = "export-format";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = selected.has(format.id);
+    checkbox.disabled = REQUIRED_EXPORT_FORMATS.includes(format.id);
+    checkbox.addEventListener("change", () => {
+      const formats = loadExportFormats();
+      if (checkbox.checked) formats.add(format.id);
+      else formats.delete(format.id);
+      saveExportFormats(formats);
+      renderExportFiles();
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(format.label));
+    list.appendChild(label);
+  }
+
+  const { slug, error, warning } = validateThemeSlug(themeName());
+  const nameNote = document.getElementById("export-name-note");
+  nameNote.className = `export-name-note${error ? " error" : warning ? " warning" : ""}`;
+  nameNote.textContent = error || warning || `Files will be named "${slug}".`;
+
+  renderExportMetadata();
+  await renderExportFiles();
+}
+
+function renderExportMetadata() {
+  const container = document.getElementById("export-metadata");
+  container.innerHTML = "";
+  for (const field of METADATA_FIELDS) {
+    const label = document.createElement("label");
+    label.textContent = field.label;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "typography-input";
+    input.value = project.metadata[field.key];
+    input.placeholder = field.placeholder || "";
+    input.addEventListener("input", () => {
+      project.metadata[field.key] = input.value;
+      recordHistory(`Set ${field.label.toLowerCase()}`, `metadata:${field.key}`);
+      clearTimeout(exportState.metadataTimer);
+      exportState.metadataTimer = setTimeout(renderExportFiles, 200);
+    });
+
+    label.appendChild(input);
+    container.appendChild(label);
+  }
+}
+
+async function renderExportFiles() {
+  const generation = ++exportState.generation;
+  const { error } = validateThemeSlug(themeName());
+  const files = error ? [] : await exportFiles(currentTheme(), loadExportFormats(), EXPORT_PREVIEW_FORMATS);
+  if (generation !== exportState.generation) return;
+  exportState.files = files;
+  if (!exportState.files.some((f) => f.name === exportState.selected)) {
+    exportState.selected = exportState.files[0]?.name || null;
+  }
+
+  document.getElementById("export-download").disabled = exportState.files.length === 0;
+
+  const tabs = document.getElementById("export-files");
+  tabs.innerHTML = "";
+  for (const file of exportState.files) {
+    const tab = document.createElement("button");
+    tab.className = "export-file-tab";
+    tab.classList.toggle("active", file.name === exportState.selected);
+    tab.textContent = file.name;
+    tab.addEventListener("click", () => {
+      exportState.selected = file.name;
+      for (const other of tabs.children) other.classList.toggle("active", other === tab);
+      renderExportSource();
+    });
+    tabs.appendChild(tab);
+  }
+
+  await renderExportSource();
+}
+
+async function renderExportSource() {
+  const source = document.getElementById("export-source");
+  const actions = document.getElementById("export-file-actions");
+  const file = exportState.files.find((f) => f.name === exportState.selected);
+  actions.hidden = !file;
+
+  if (!file) {
+    source.innerHTML = `<div class="loading">Select at least one format.</div>`;
+    return;
+  }
+
+  document.getElementById("export-copy").disabled = !file.format.lang;
+  if (!file.format.lang) {
+    source.innerHTML = file.content
+      ? `<div class="loading">Binary file (${(file.content.byteLength / 1024).toFixed(1)} KB)</div>`
+      : `<div class="loading">Binary file, built when downloaded</div>`;
+    return;
+  }
+  source.innerHTML = await codeToHtml(file.content, { lang: file.format.lang, theme: buildShikiTheme(activeVariant()) });
+}
+
+async function exportZip() {
+  const { slug, error } = validateThemeSlug(themeName());
+  if (error) {
+    showNotice(error, "error");
+    return;
+  }
+  const zip = new JSZip();
+  for (const file of await exportFiles(currentTheme(), loadExportFormats(), EXPORT_FORMATS)) {
+    zip.file(file.name, file.content);
+  }
+  downloadBlob(await zip.generateAsync({ type: "blob" }), `${slug}.zip`);
+}
+
 // --- Wiring ---
 
-document.getElementById("export-zip").addEventListener("click", exportZip);
+document.getElementById("export-zip").addEventListener("click", () => {
+  renderExportDialog();
+  document.getElementById("export-dialog").showModal();
+});
+
+document.getElementById("export-download").addEventListener("click", async () => {
+  await exportZip();
+  document.getElementById("export-dialog").close();
+});
+
+document.getElementById("export-close").addEventListener("click", () => {
+  document.getElementById("export-dialog").close();
+});
+
+document.getElementById("export-copy").addEventListener("click", async () => {
+  const file = exportState.files.find((f) => f.name === exportState.selected);
+  if (!file) return;
+  try {
+    await navigator.clipboard.writeText(file.content);
+    showNotice(`Copied ${file.name} to the clipboard.`, "info");
+  } catch {
+    showNotice("Could not access the clipboard. Download the file instead.", "error");
+  }
+});
+
+document.getElementById("export-download-file").addEventListener("click", async () => {
+  const file = exportState.files.find((f) => f.name === exportState.selected);
+  if (file) await downloadExportFile(file);
+});
+
+document.getElementById("preview-source").addEventListener("change", (e) => {
+  previewState.source = e.target.value;
+  saveSnippet();
+  renderPreviewControls();
+  renderPreview();
+});
+
+document.getElementById("preview-lang").addEventListener("change", (e) => {
+  if (previewState.source === "snippet") {
+    previewState.snippetLang = e.target.value;
+    saveSnippet();
+  } else {
+    previewState.lang = e.target.value;
+  }
+  renderPreview();
+});
+
+document.getElementById("preview-split-toggle").addEventListener("click", () => {
+  previewState.sideBySide = !previewState.sideBySide;
+  renderPreviewControls();
+  renderPreview();
+});
+
+document.getElementById("preview-frame-toggle").addEventListener("click", () => {
+  previewState.frame = !previewState.frame;
+  renderPreviewControls();
+  renderPreview();
+});
+
+document.getElementById("preview-inspect-toggle").addEventListener("click", () => {
+  previewState.inspect = !previewState.inspect;
+  renderPreviewControls();
+  renderPreview();
+});
+
+const previewOutput = document.getElementById("preview-output");
+
+previewOutput.addEventListener("mouseover", (e) => {
+  const tokenEl = e.target.closest("[data-token]");
+  if (tokenEl) showInspector(tokenEl);
+});
+
+previewOutput.addEventListener("mouseleave", hideInspector);
+
+previewOutput.addEventListener("click", (e) => {
+  const tokenEl = e.target.closest("[data-token]");
+  if (!tokenEl) return;
+  showInspector(tokenEl);
+  jumpToSidebarRow(tokenEl);
+});
+
+document.getElementById("preview-renderer").addEventListener("change", (e) => {
+  previewState.renderer = e.target.value;
+  renderPreviewControls();
+  renderPreview();
+});
+
+document.getElementById("preview-vision").addEventListener("change", (e) => {
+  previewState.vision = e.target.value;
+  renderPreview();
+});
+
+let snippetRenderTimer = null;
+
+document.getElementById("snippet-input").addEventListener("input", (e) => {
+  previewState.snippet = e.target.value;
+  saveSnippet();
+  clearTimeout(snippetRenderTimer);
+  snippetRenderTimer = setTimeout(() => {
+    renderPreviewControls();
+    renderPreview();
+  }, 200);
+});
+
+document.getElementById("preview-grid-toggle").addEventListener("click", () => {
+  previewState.grid = !previewState.grid;
+  renderPreviewControls();
+  renderPreview();
+});
 
 document.getElementById("load-btn").addEventListener("click", () => {
   document.getElementById("load-input").click();
@@ -961,25 +4651,211 @@ document.getElementById("load-input").addEventListener("change", async (e) => {
   const file = e.target.files[0];
   if (!file) return;
 
-  if (file.name.endsWith(".zip")) {
-    const zip = await JSZip.loadAsync(file);
-    const vsCodeFile = Object.keys(zip.files).find((f) => f.endsWith("-vscode.json"));
-    const pandocFile = Object.keys(zip.files).find((f) => f.endsWith(".theme"));
-    const tmFile = Object.keys(zip.files).find((f) => f.endsWith(".tmTheme"));
-    const preferred = vsCodeFile || pandocFile || tmFile;
-    if (preferred) {
-      const content = await zip.files[preferred].async("string");
-      loadThemeFromFile(preferred, content);
-    }
-  } else {
-    const content = await file.text();
-    loadThemeFromFile(file.name, content);
+  e.target.value = "";
+
+  // A file that fails halfway through (e.g. the second theme in a zip) must not leave
+  // the project partially loaded
+  const before = snapshotProject();
+  let upload;
+  try {
+    upload = await loadUpload(file);
+  } catch (err) {
+    restoreProject(before);
+    showNotice(`Could not load ${file.name}: ${err.message}`, "error");
+    return;
+  }
+  if (!upload) {
+    restoreProject(before);
+    return;
   }
 
+  const name = upload.imports.findLast(({ report }) => report.name)?.report.name;
+  if (name) setThemeName(name);
+  for (const { report } of upload.imports) Object.assign(project.metadata, report.metadata);
+
+  // Files carry plain hex, so link the loaded colors back to the palette
+  for (const variant of new Set(upload.imports.map(({ variant }) => variant))) {
+    variant.paletteRefs = inferPaletteRefs(variant);
+  }
+  recordHistory(`Load ${file.name}`);
   renderSidebar();
   renderPreview();
+
+  const warnings = [...upload.warnings, ...upload.imports.flatMap(({ report }) => report.warnings)];
+  if (warnings.length > 0) {
+    const more = warnings.length > 1 ? ` (and ${warnings.length - 1} more)` : "";
+    showNotice(`Loaded ${file.name} with warnings: ${warnings[0]}${more}`, "warning");
+  }
+  if (warnings.length > 0 || upload.imports.some(({ report }) => report.rules.length > 0)) {
+    renderImportReport(upload.imports, upload.warnings);
+    document.getElementById("import-dialog").showModal();
+  }
+});
+
+document.getElementById("compare-btn").addEventListener("click", () => {
+  // Edits made while the dialog was closed become the new "ours"
+  compareState.base = snapshotProject().variants;
+  renderComparison();
+  document.getElementById("compare-dialog").showModal();
+});
+
+document.getElementById("compare-close").addEventListener("click", () => {
+  document.getElementById("compare-dialog").close();
+});
+
+document.getElementById("compare-load").addEventListener("click", () => {
+  document.getElementById("compare-input").click();
+});
+
+document.getElementById("compare-input").addEventListener("change", async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  e.target.value = "";
+
+  let theme;
+  try {
+    theme = await loadComparison(file);
+  } catch (err) {
+    showNotice(`Could not load ${file.name}: ${err.message}`, "error");
+    return;
+  }
+  compareState.filename = file.name;
+  compareState.theme = theme;
+  compareState.base = snapshotProject().variants;
+  if (!comparedVariant()) {
+    switchVariant(VARIANTS.find((v) => theme.variants[v.id]).id);
+  }
+  renderComparison();
+});
+
+document.getElementById("compare-variant").addEventListener("change", (e) => {
+  switchVariant(e.target.value);
+  renderComparison();
+});
+
+document.getElementById("compare-swipe-toggle").addEventListener("click", () => {
+  compareState.swipe = !compareState.swipe;
+  renderComparison();
+});
+
+document.getElementById("compare-swipe-range").addEventListener("input", (e) => {
+  compareState.position = Number(e.target.value);
+  document.querySelector("#compare-preview .compare-swipe")?.style.setProperty("--swipe", `${compareState.position}%`);
+});
+
+document.getElementById("palette-btn").addEventListener("click", () => {
+  renderPaletteManager();
+  document.getElementById("palette-dialog").showModal();
+});
+
+document.getElementById("palette-close").addEventListener("click", () => {
+  document.getElementById("palette-dialog").close();
+});
+
+document.getElementById("palette-resync").addEventListener("click", () => {
+  const report = resyncToPalette();
+  renderResyncReport(report);
+  document.getElementById("resync-apply").disabled = !report.some((change) => change.to);
+  document.getElementById("resync-dialog").showModal();
+});
+
+// Saved themes are rewritten here, outside undo, so the changes are listed first
+document.getElementById("resync-apply").addEventListener("click", () => {
+  const report = resyncToPalette({ apply: true });
+  if (report.some((change) => change.open && change.to)) {
+    recordHistory("Re-sync to palettes");
+    renderSidebar();
+    renderPreview();
+  }
+  if (document.getElementById("library-dialog").open) renderLibrary();
+  document.getElementById("resync-dialog").close();
+  showNotice(`Updated ${report.filter((change) => change.to).length} palette colors.`, "info");
+});
+
+document.getElementById("resync-close").addEventListener("click", () => {
+  document.getElementById("resync-dialog").close();
+});
+
+document.getElementById("palette-import").addEventListener("click", () => {
+  document.getElementById("palette-input").click();
+});
+
+document.getElementById("palette-input").addEventListener("change", async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
   e.target.value = "";
+
+  let loaded;
+  try {
+    loaded = await loadPaletteFile(file);
+  } catch (err) {
+    showNotice(`Could not load ${file.name}: ${err.message}`, "error");
+    return;
+  }
+  addPalette({ name: loaded.name, groups: loaded.groups });
+  renderSidebar();
+  renderPaletteManager();
+  if (loaded.warnings.length > 0) {
+    const more = loaded.warnings.length > 1 ? ` (and ${loaded.warnings.length - 1} more)` : "";
+    showNotice(`Loaded ${file.name} with warnings: ${loaded.warnings[0]}${more}`, "warning");
+  }
+});
+
+document.getElementById("import-close").addEventListener("click", () => {
+  document.getElementById("import-dialog").close();
+});
+
+document.getElementById("share-btn").addEventListener("click", copyShareLink);
+
+document.getElementById("notice-close").addEventListener("click", hideNotice);
+
+window.addEventListener("hashchange", () => {
+  if (!restoreFromShareLink()) return;
+  recordHistory("Open shared link");
+  closePopover();
+  renderSidebar();
+  renderPreview();
+});
+
+document.getElementById("library-btn").addEventListener("click", () => {
+  renderLibrary();
+  document.getElementById("library-dialog").showModal();
+});
+
+document.getElementById("library-save").addEventListener("click", () => {
+  saveToLibrary();
+  renderLibrary();
+});
+
+document.getElementById("library-close").addEventListener("click", () => {
+  document.getElementById("library-dialog").close();
+});
+
+document.getElementById("theme-name").addEventListener("change", (e) => {
+  recordHistory(`Rename to ${e.target.value || "arcadia"}`);
+});
+
+document.addEventListener("keydown", (e) => {
+  if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+  // Leave native text undo alone inside editable fields
+  if (e.target.closest("input, textarea, select")) return;
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redo();
+  }
 });
 
+loadPalettes();
+project.variants.light.paletteRefs = inferPaletteRefs(project.variants.light);
+deriveDarkVariant();
+restoreSession();
+recordHistory(restoreFromShareLink() ? "Open shared link" : "Initial theme");
+loadSnippet();
 renderSidebar();
+renderPreviewControls();
 renderPreview();
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// Builds and converts themes outside the browser with the same core as the app:
+//
+//   arcadia-theme build arcadia.arcadia-theme.json --formats tmTheme,pandoc,vscode --out dist/
+//   arcadia-theme convert in.tmTheme out.theme
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import {
+  THEME_DOCUMENT_SUFFIX, THEME_FORMATS, VARIANTS, baseThemeName, createTheme, exportFiles,
+  isLightBackground, loadThemeDocument, loadThemeFromFile, variantIdForFile,
+} from "../theme-core.js";
+
+const DEFAULT_FORMATS = ["tmTheme", "pandoc", "vscode"];
+
+// Single-variant files that convert reads but build can't, since they hold one variant
+const SINGLE_VARIANT_SUFFIXES = [".tmTheme", ".theme", "-vscode.json"];
+
+const USAGE = `Usage:
+  arcadia-theme build <theme.json> [--formats <ids>] [--out <dir>]
+  arcadia-theme convert <input> <output>
+
+build    Writes the theme's files for both variants. <theme.json> is a theme document
+         (${THEME_DOCUMENT_SUFFIX}) exported from the app, of any version. --formats takes a
+         comma-separated list (default: ${DEFAULT_FORMATS.join(",")}); --out defaults to the
+         current directory.
+convert  Loads a theme document, .tmTheme, Pandoc .theme or VS Code JSON file and writes
+         it in the format given by the output file's name.
+
+Formats:
+${THEME_FORMATS.map((f) => `  ${f.id.padEnd(16)}${f.label}`).join("\n")}`;
+
+class UsageError extends Error {}
+
+// Splits argv into positional arguments and --name value options
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg.startsWith("--")) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+      const value = inline ?? args[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value`);
+      options[name] = value;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, options };
+}
+
+function printWarnings(source, warnings) {
+  for (const warning of warnings) console.warn(`${source}: ${warning}`);
+}
+
+async function readInput(file) {
+  try {
+    return await readFile(file, "utf8");
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+async function readThemeDocument(input) {
+  const text = await readInput(input);
+  const warnings = [];
+  let theme;
+  try {
+    theme = loadThemeDocument(text, warnings);
+  } catch (err) {
+    throw new Error(`${input}: ${err.message}`);
+  }
+  printWarnings(input, warnings);
+  return theme;
+}
+
+async function build(positional, options) {
+  if (positional.length !== 1) throw new UsageError("build takes exactly one theme file");
+  const [input] = positional;
+  const formatIds = options.formats ? options.formats.split(",").map((id) => id.trim()).filter(Boolean) : DEFAULT_FORMATS;
+  const unknown = formatIds.filter((id) => !THEME_FORMATS.some((f) => f.id === id));
+  if (unknown.includes("vsix")) {
+    throw new Error("The vsix format needs the browser app, which renders its preview image");
+  }
+  if (unknown.length > 0) throw new UsageError(`Unknown format ${unknown.join(", ")}`);
+
+  if (SINGLE_VARIANT_SUFFIXES.some((suffix) => input.endsWith(suffix))) {
+    throw new UsageError(`build reads theme documents (${THEME_DOCUMENT_SUFFIX}); use convert for ${input}`);
+  }
+  const theme = await readThemeDocument(input);
+
+  const outDir = options.out || ".";
+  await mkdir(outDir, { recursive: true });
+  for (const file of await exportFiles(theme, formatIds)) {
+    await writeFile(path.join(outDir, file.name), file.content);
+    console.log(path.join(outDir, file.name));
+  }
+}
+
+async function convert(positional) {
+  if (positional.length !== 2) throw new UsageError("convert takes an input and an output file");
+  const [input, output] = positional;
+  const format = THEME_FORMATS.find((f) => output.endsWith(f.filename("")));
+  if (!format) {
+    const endings = THEME_FORMATS.map((f) => f.filename(""));
+    throw new UsageError(`Can't tell the format of ${output}; name it ending in ${endings.join(", ")}`);
+  }
+
+  if (input.endsWith(THEME_DOCUMENT_SUFFIX)) {
+    // A document has both variants; per-variant outputs take the one their name asks for
+    const theme = await readThemeDocument(input);
+    const content = format.perVariant ? format.build(theme, variantIdForFile(path.basename(output)) || "light") : format.build(theme);
+    await writeFile(output, content);
+    console.log(output);
+    return;
+  }
+
+  // Files without a -light/-dark suffix become whichever variant their background suits
+  const theme = createTheme(baseThemeName(path.basename(input).replace(/(-vscode)?\.[^.]+$/, "")));
+  const scratch = theme.variants.light;
+  const report = loadThemeFromFile(path.basename(input), await readInput(input), scratch);
+  const variantId = variantIdForFile(path.basename(input)) || (isLightBackground(scratch.state.background) ? "light" : "dark");
+  theme.variants[variantId] = { ...scratch, id: variantId };
+  if (report.name) theme.name = baseThemeName(report.name);
+  Object.assign(theme.metadata, report.metadata);
+  printWarnings(input, report.warnings);
+  // The rest of the theme is the light defaults, so a document shouldn't claim it
+  if (format.id === "arcadia-theme") {
+    for (const v of VARIANTS) {
+      if (v.id === variantId) continue;
+      delete theme.variants[v.id];
+      console.warn(`${input}: has no ${v.id} variant; ${output} leaves it out`);
+    }
+  }
+  const dropped = report.rules.filter((entry) => entry.reason);
+  if (dropped.length > 0) {
+    console.warn(`${input}: ${dropped.length} of ${report.rules.length} rules were not imported`);
+  }
+
+  const content = format.perVariant ? format.build(theme, variantId) : format.build(theme);
+  await writeFile(output, content);
+  console.log(output);
+}
+
+async function main(args) {
+  const { positional: [command, ...positional], options } = parseArgs(args);
+  if (!command || options.help || command === "help") {
+    console.log(USAGE);
+    return;
+  }
+  if (command === "build") return build(positional, options);
+  if (command === "convert") return convert(positional);
+  throw new UsageError(`Unknown command ${command}`);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(`arcadia-theme: ${err.message}`);
+  if (err instanceof UsageError) console.error(`\n${USAGE}`);
+  process.exitCode = 1;
+});
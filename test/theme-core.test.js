@@ -0,0 +1,144 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  THEME_DOCUMENT_VERSION, TOKEN_CATEGORIES, buildThemeDocument, buildTmTheme, buildVscodeTheme,
+  createCustomRule, createTheme, importMatchScore, loadThemeDocument, loadThemeFromFile,
+  migrateThemeDocument, normalizeTheme, parseJsonc, validateThemeSlug,
+} from "../theme-core.js";
+
+// A dark variant where every category has its own color and style, plus a scope rule.
+// Normalized up front because loading uppercases colors and the defaults are lowercase.
+function sampleTheme() {
+  const theme = createTheme("demo");
+  const variant = theme.variants.dark;
+  variant.state.background = "#111111";
+  variant.state.foreground = "#EEEEEE";
+  TOKEN_CATEGORIES.forEach((cat, i) => {
+    variant.state[cat.id] = `#${(0x102030 + i * 0x030405).toString(16).toUpperCase()}`;
+    variant.styleState[cat.id] = { bold: i % 2 === 0, italic: i % 3 === 0 };
+  });
+  variant.customRules.push({ ...createCustomRule("#ABCDEF"), scope: "markup.heading", bold: true });
+  theme.metadata.description = "For tests";
+  return normalizeTheme(theme);
+}
+
+describe("theme documents", () => {
+  test("round-trip the whole theme", () => {
+    const theme = sampleTheme();
+    const warnings = [];
+    const loaded = loadThemeDocument(buildThemeDocument(theme), warnings);
+    assert.deepEqual(loaded, theme);
+    assert.deepEqual(warnings, []);
+  });
+
+  test("migrate unversioned project snapshots", () => {
+    const theme = sampleTheme();
+    const snapshot = { name: theme.name, variants: theme.variants, typography: theme.typography };
+    const document = migrateThemeDocument(structuredClone(snapshot));
+    assert.equal(document.version, THEME_DOCUMENT_VERSION);
+    assert.deepEqual(document.variants.dark.colors, theme.variants.dark.state);
+
+    const loaded = loadThemeDocument(JSON.stringify(snapshot));
+    assert.deepEqual(loaded.variants, theme.variants);
+  });
+
+  test("reject JSON that isn't a document", () => {
+    const vscodeTheme = buildVscodeTheme(sampleTheme(), "dark");
+    assert.throws(() => loadThemeDocument(vscodeTheme), /Not an \.arcadia-theme\.json document/);
+    assert.throws(() => migrateThemeDocument({ variants: { light: "x" } }), /Not an \.arcadia-theme\.json document/);
+    assert.throws(() => migrateThemeDocument([]), /Expected a theme document object/);
+  });
+
+  test("refuse newer and invalid versions", () => {
+    assert.throws(() => migrateThemeDocument({ version: THEME_DOCUMENT_VERSION + 1 }), /only reads up to version/);
+    assert.throws(() => migrateThemeDocument({ version: "1" }), /Invalid document version "1"/);
+  });
+
+  test("leave out variants the theme doesn't have", () => {
+    const theme = sampleTheme();
+    delete theme.variants.light;
+    assert.deepEqual(Object.keys(JSON.parse(buildThemeDocument(theme)).variants), ["dark"]);
+
+    const warnings = [];
+    loadThemeDocument(buildThemeDocument(theme), warnings);
+    assert.deepEqual(warnings, ["No light variant; it keeps the default colors"]);
+  });
+});
+
+describe("parseJsonc", () => {
+  test("accept comments and trailing commas", () => {
+    assert.deepEqual(parseJsonc('{ /* a */ "a": [1, 2,], // b\n "s": "//x", }'), { a: [1, 2], s: "//x" });
+  });
+
+  test("report errors at their position in the input", () => {
+    assert.throws(() => parseJsonc('{\n  // note\n  "a": 1,\n  "b": ]\n}'), {
+      message: 'Invalid JSON at line 4, column 8: expected a value, found "]"',
+    });
+    assert.throws(() => parseJsonc('{"a": 1'), {
+      message: 'Invalid JSON at line 1, column 8: expected "," or "}", found the end of the file',
+    });
+    assert.throws(() => parseJsonc("[1 2]"), {
+      message: 'Invalid JSON at line 1, column 4: expected "," or "]", found "2"',
+    });
+  });
+});
+
+describe("importMatchScore", () => {
+  test("apply equal or broader selectors directly, preferring the more specific", () => {
+    assert.ok(importMatchScore("keyword.control", "keyword.control") > importMatchScore("keyword", "keyword.control"));
+    assert.ok(importMatchScore("keyword", "keyword.control") >= 1000);
+  });
+
+  test("use narrower selectors only below any direct match", () => {
+    const narrower = importMatchScore("keyword.control.flow", "keyword.control");
+    assert.ok(narrower > 0 && narrower < importMatchScore("keyword", "keyword.control"));
+  });
+
+  test("match whole scope segments only", () => {
+    assert.equal(importMatchScore("keywordx", "keyword"), 0);
+    assert.equal(importMatchScore("key", "keyword"), 0);
+    assert.equal(importMatchScore("string", "keyword"), 0);
+  });
+
+  test("match descendant selectors and exclusions on their final scope", () => {
+    assert.equal(importMatchScore("source.python keyword.control", "keyword.control"), importMatchScore("keyword.control", "keyword.control"));
+    assert.equal(importMatchScore("keyword - string", "keyword"), importMatchScore("keyword", "keyword"));
+  });
+});
+
+describe("theme file round-trips", () => {
+  for (const [filename, build] of [["demo-dark-vscode.json", buildVscodeTheme], ["demo-dark.tmTheme", buildTmTheme]]) {
+    test(filename, () => {
+      const theme = sampleTheme();
+      const variant = createTheme().variants.light;
+      const report = loadThemeFromFile(filename, build(theme, "dark"), variant);
+      assert.equal(report.name, "demo-dark");
+      assert.deepEqual(report.warnings, []);
+      assert.deepEqual(variant.state, theme.variants.dark.state);
+      assert.deepEqual(variant.styleState, theme.variants.dark.styleState);
+      assert.deepEqual(
+        variant.customRules.map(({ scope, color, bold, italic }) => ({ scope, color, bold, italic })),
+        [{ scope: "markup.heading", color: "#ABCDEF", bold: true, italic: false }]
+      );
+    });
+  }
+});
+
+describe("validateThemeSlug", () => {
+  test("accept names that only need lowercasing", () => {
+    assert.deepEqual(validateThemeSlug("Arcadia"), { slug: "arcadia" });
+  });
+
+  test("warn when the name had to change", () => {
+    assert.equal(validateThemeSlug("My Theme!").slug, "my-theme");
+    assert.match(validateThemeSlug("My Theme!").warning, /"my-theme"/);
+    assert.equal(validateThemeSlug("con").slug, "con-theme");
+  });
+
+  test("refuse names without a letter or digit", () => {
+    assert.deepEqual(validateThemeSlug("***"), {
+      slug: null,
+      error: "The theme name needs at least one letter or digit to be used in file names.",
+    });
+  });
+});
@@ -0,0 +1,2251 @@
+// Headless core of the theme builder: the token model, color math, export builders
+// and theme file loaders. Nothing here touches the DOM or module state, so the same
+// code runs the browser app and the Node CLI (bin/arcadia-theme.js).
+//
+// A theme is { name, metadata, variants, typography }, with one variant per VARIANTS entry:
+// { id, state, styleState, customRules, uiColors, pandoc, paletteRefs }. Builders
+// take the theme and a variant id and return the file's text; loaders fill in a
+// variant from a file and return an import report.
+
+export const PALETTE = {
+  primary: [
+    { name: "aegean", hex: "#5088C5" },
+    { name: "amber", hex: "#F28360" },
+    { name: "seaweed", hex: "#3B9886" },
+    { name: "canary", hex: "#F7B846" },
+    { name: "aster", hex: "#7A77AB" },
+    { name: "rose", hex: "#F898AE" },
+    { name: "vital", hex: "#73B5E3" },
+    { name: "tangerine", hex: "#FFB984" },
+    { name: "lime", hex: "#97CD78" },
+    { name: "dragon", hex: "#C85152" },
+    { name: "oat", hex: "#F5E4BE" },
+    { name: "wish", hex: "#BABEE0" },
+  ],
+  neutral: [
+    { name: "pitch", hex: "#09090A" },
+    { name: "crow", hex: "#292928" },
+    { name: "slate", hex: "#43413F" },
+    { name: "bark", hex: "#8F8885" },
+    { name: "chateau", hex: "#BAB0A8" },
+    { name: "gray", hex: "#EBEDE8" },
+    { name: "parchment", hex: "#FDF8F2" },
+  ],
+  shades: [
+    { name: "lapis", hex: "#2B65A1" },
+    { name: "dusk", hex: "#094468" },
+    { name: "cinnabar", hex: "#9E3F41" },
+    { name: "mustard", hex: "#D68D22" },
+    { name: "tanzanite", hex: "#54448C" },
+    { name: "asparagus", hex: "#2A6B5E" },
+    { name: "depths", hex: "#09473E" },
+    { name: "fern", hex: "#47784A" },
+    { name: "matcha", hex: "#71AC5A" },
+    { name: "azalea", hex: "#C14C70" },
+    { name: "steel", hex: "#687787" },
+  ],
+  backgrounds: [
+    { name: "parchment", hex: "#FDF8F2" },
+    { name: "zephyr", hex: "#F4FBFF" },
+    { name: "lichen", hex: "#F7FBEF" },
+    { name: "dawn", hex: "#F8F4F1" },
+    { name: "white", hex: "#FFFFFF" },
+    { name: "crow", hex: "#292928" },
+    { name: "pitch", hex: "#09090A" },
+  ],
+};
+
+export const TOKEN_CATEGORIES = [
+  {
+    id: "keyword",
+    label: "Keyword",
+    tmScopes: ["keyword", "keyword.control"],
+    pandocTokens: ["Keyword", "ControlFlow"],
+  },
+  {
+    id: "error",
+    label: "Error",
+    tmScopes: ["invalid"],
+    pandocTokens: ["Error", "Alert", "Warning"],
+  },
+  {
+    id: "string",
+    label: "String",
+    tmScopes: ["string"],
+    pandocTokens: ["String", "Char", "VerbatimString", "SpecialString", "SpecialChar"],
+  },
+  {
+    id: "function",
+    label: "Function",
+    tmScopes: ["entity.name.function", "support.function"],
+    pandocTokens: ["Function"],
+  },
+  {
+    id: "comment",
+    label: "Comment",
+    tmScopes: ["comment"],
+    pandocTokens: ["Comment", "Documentation", "CommentVar", "Annotation"],
+  },
+  {
+    id: "type",
+    label: "Type",
+    tmScopes: ["entity.name.type", "storage.type", "support.type"],
+    pandocTokens: ["DataType"],
+  },
+  {
+    id: "class",
+    label: "Class",
+    tmScopes: ["entity.name.type.class"],
+    pandocTokens: [],
+  },
+  {
+    id: "variable",
+    label: "Variable",
+    tmScopes: ["variable", "variable.parameter"],
+    pandocTokens: ["Variable"],
+  },
+  {
+    id: "number",
+    label: "Number",
+    tmScopes: ["constant.numeric"],
+    pandocTokens: ["DecVal", "BaseN", "Float"],
+  },
+  {
+    id: "constant",
+    label: "Constant",
+    tmScopes: ["constant.language"],
+    pandocTokens: ["Constant", "BuiltIn"],
+  },
+  {
+    id: "operator",
+    label: "Operator",
+    tmScopes: ["keyword.operator"],
+    pandocTokens: ["Operator"],
+  },
+  {
+    id: "import",
+    label: "Import",
+    tmScopes: ["keyword.import", "keyword.control.import"],
+    pandocTokens: ["Import", "Preprocessor"],
+  },
+  {
+    id: "attribute",
+    label: "Attribute",
+    tmScopes: ["entity.other.attribute-name", "entity.other.inherited-class"],
+    pandocTokens: ["Attribute"],
+  },
+];
+
+export const GLOBAL_SETTINGS = [
+  { id: "background", label: "Background" },
+  { id: "foreground", label: "Foreground" },
+];
+
+export const ALL_PANDOC_TOKENS = [
+  "Alert", "Annotation", "Attribute", "BaseN", "BuiltIn", "Char",
+  "Comment", "CommentVar", "Constant", "ControlFlow", "DataType",
+  "DecVal", "Documentation", "Error", "Extension", "Float",
+  "Function", "Import", "Information", "Keyword", "Operator",
+  "Other", "Preprocessor", "RegionMarker", "SpecialChar",
+  "SpecialString", "String", "Variable", "VerbatimString", "Warning",
+];
+
+export const VARIANTS = [
+  { id: "light", label: "Light", uiTheme: "vs" },
+  { id: "dark", label: "Dark", uiTheme: "vs-dark" },
+];
+
+export const DEFAULT_THEME_NAME = "arcadia";
+
+const DEFAULT_STATE = {
+  background: "#f6f6f6",
+  foreground: "#2f3337",
+  keyword: "#015692",
+  string: "#54790d",
+  comment: "#656e77",
+  function: "#b75501",
+  type: "#015692",
+  class: "#b65602",
+  variable: "#2f3337",
+  number: "#b75501",
+  operator: "#015692",
+  constant: "#b75501",
+  import: "#015692",
+  attribute: "#015692",
+  error: "#9E3F41",
+};
+
+const DEFAULT_STYLE_STATE = {
+  keyword: { bold: true, italic: false },
+  string: { bold: false, italic: true },
+  comment: { bold: false, italic: true },
+  function: { bold: true, italic: false },
+  type: { bold: true, italic: false },
+  class: { bold: true, italic: false },
+  variable: { bold: false, italic: false },
+  number: { bold: false, italic: false },
+  operator: { bold: false, italic: false },
+  constant: { bold: false, italic: false },
+  import: { bold: false, italic: false },
+  attribute: { bold: false, italic: false },
+  error: { bold: false, italic: false },
+};
+
+export function createVariant(id) {
+  return {
+    id,
+    state: { ...DEFAULT_STATE },
+    styleState: structuredClone(DEFAULT_STYLE_STATE),
+    customRules: [],
+    uiColors: {},
+    pandoc: createPandocSettings(),
+    paletteRefs: {},
+  };
+}
+
+// Both variants start from the light defaults; the app derives its dark one on load
+export function createTheme(name = DEFAULT_THEME_NAME) {
+  return {
+    name,
+    metadata: createMetadata(),
+    variants: Object.fromEntries(VARIANTS.map((v) => [v.id, createVariant(v.id)])),
+    typography: createTypography(),
+  };
+}
+
+// Credits written into the formats that have room for them
+export function createMetadata() {
+  return { author: "Arcadia Science", description: "", license: "" };
+}
+
+export function normalizeMetadata(value) {
+  const metadata = createMetadata();
+  for (const key of Object.keys(metadata)) {
+    if (typeof value?.[key] === "string") metadata[key] = value[key].trim();
+  }
+  return metadata;
+}
+
+// A theme object from stored or hand-written JSON. Missing variants and fields take
+// the defaults; unusable values are skipped with a message in `warnings`.
+export function normalizeTheme(data, warnings = []) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Expected a theme object with name, variants and typography");
+  }
+  const theme = createTheme();
+  if (typeof data.name === "string" && data.name.trim()) theme.name = data.name.trim();
+  for (const v of VARIANTS) {
+    const source = data.variants?.[v.id];
+    if (!source || typeof source !== "object") {
+      warnings.push(`No ${v.id} variant; it keeps the default colors`);
+      continue;
+    }
+    const variant = theme.variants[v.id];
+    for (const id of Object.keys(variant.state)) {
+      const hex = importColor(source.state?.[id], `${v.id} ${id}`, warnings);
+      if (hex) variant.state[id] = hex;
+    }
+    for (const id of Object.keys(variant.styleState)) {
+      const style = source.styleState?.[id];
+      if (style) variant.styleState[id] = { bold: !!style.bold, italic: !!style.italic };
+    }
+    for (const rule of Array.isArray(source.customRules) ? source.customRules : []) {
+      const color = importColor(rule?.color, `${v.id} rule "${rule?.scope}"`, warnings);
+      if (!color || typeof rule.scope !== "string") continue;
+      variant.customRules.push({
+        ...createCustomRule(color),
+        ...(typeof rule.id === "string" && { id: rule.id }),
+        scope: rule.scope,
+        bold: !!rule.bold,
+        italic: !!rule.italic,
+        pandocToken: ALL_PANDOC_TOKENS.includes(rule.pandocToken) ? rule.pandocToken : null,
+      });
+    }
+    for (const def of UI_COLORS) {
+      const hex = importColor(source.uiColors?.[def.key], `${v.id} ${def.key}`, warnings);
+      if (hex) variant.uiColors[def.key] = hex;
+    }
+    for (const token of ALL_PANDOC_TOKENS) {
+      const style = source.pandoc?.tokens?.[token];
+      if (!style) continue;
+      variant.pandoc.tokens[token] = {
+        color: importColor(style.color, `${v.id} ${token}`, warnings),
+        background: importColor(style.background, `${v.id} ${token} background`, warnings),
+        bold: !!style.bold,
+        italic: !!style.italic,
+        underline: !!style.underline,
+      };
+    }
+    for (const key of ["lineNumberColor", "lineNumberBackground"]) {
+      variant.pandoc[key] = importColor(source.pandoc?.[key], `${v.id} ${key}`, warnings);
+    }
+    for (const [targetId, ref] of Object.entries(source.paletteRefs || {})) {
+      if (typeof ref === "string") variant.paletteRefs[targetId] = ref;
+    }
+  }
+  theme.metadata = normalizeMetadata(data.metadata);
+  theme.typography = normalizeTypography(data.typography);
+  return theme;
+}
+
+export function variantThemeName(theme, variantId) {
+  return `${theme.name}-${variantId}`;
+}
+
+// Exported files name each variant "<theme>-light"/"<theme>-dark"
+export function baseThemeName(name) {
+  return name.replace(/-(light|dark)$/, "");
+}
+
+export function fontStyle(id, styles) {
+  const s = styles[id];
+  if (!s) return "";
+  const parts = [];
+  if (s.bold) parts.push("bold");
+  if (s.italic) parts.push("italic");
+  return parts.join(" ");
+}
+
+export function hexToRgb(hex) {
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+export function hexToLinearRgb(hex) {
+  return hexToRgb(hex).map((c) => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+}
+
+export function linearRgbToHex(rgb) {
+  return "#" + rgb
+    .map((c) => {
+      const clamped = Math.min(1, Math.max(0, c));
+      const s = clamped <= 0.0031308 ? clamped * 12.92 : 1.055 * clamped ** (1 / 2.4) - 0.055;
+      return Math.round(s * 255).toString(16).padStart(2, "0");
+    })
+    .join("");
+}
+
+// WCAG 2.x relative luminance of an sRGB color
+export function relativeLuminance(hex) {
+  const [r, g, b] = hexToLinearRgb(hex);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function isLightBackground(hex) {
+  // Above this luminance, black text contrasts better than white text
+  return relativeLuminance(hex) > 0.179;
+}
+
+export function contrastRatio(a, b) {
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+// --- Custom scope rules ---
+
+// Rules color arbitrary TextMate scope selectors on top of TOKEN_CATEGORIES and can
+// optionally override one Pandoc token. Their color targets use a "rule:" prefix.
+export const RULE_TARGET_PREFIX = "rule:";
+
+export function createCustomRule(color) {
+  return {
+    id: crypto.randomUUID(),
+    scope: "",
+    color,
+    bold: false,
+    italic: false,
+    pandocToken: null,
+  };
+}
+
+export function activeRules(variant) {
+  return variant.customRules.filter((rule) => rule.scope.trim());
+}
+
+export function ruleScopes(rule) {
+  return rule.scope.split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+export function ruleFontStyle(rule) {
+  const parts = [];
+  if (rule.bold) parts.push("bold");
+  if (rule.italic) parts.push("italic");
+  return parts.join(" ");
+}
+
+// --- Pandoc token styles ---
+
+// Pandoc styles each of ALL_PANDOC_TOKENS separately. A token follows its category
+// (or the scope rule naming it) unless variant.pandoc.tokens holds a full style for
+// it. Color targets look like "pandoc:Keyword:color" or "pandoc:lineNumberColor".
+export const PANDOC_TARGET_PREFIX = "pandoc:";
+
+// Skylighting's CSS class for each token, as written into Pandoc and Quarto HTML
+export const PANDOC_TOKEN_CLASSES = {
+  Alert: "al", Annotation: "an", Attribute: "at", BaseN: "bn", BuiltIn: "bu", Char: "ch",
+  Comment: "co", CommentVar: "cv", Constant: "cn", ControlFlow: "cf", DataType: "dt",
+  DecVal: "dv", Documentation: "do", Error: "er", Extension: "ex", Float: "fl",
+  Function: "fu", Import: "im", Information: "in", Keyword: "kw", Operator: "op",
+  Other: "ot", Preprocessor: "pp", RegionMarker: "re", SpecialChar: "sc",
+  SpecialString: "ss", String: "st", Variable: "va", VerbatimString: "vs", Warning: "wa",
+};
+
+export function createPandocSettings() {
+  return { tokens: {}, lineNumberColor: null, lineNumberBackground: null };
+}
+
+export function basePandocStyle(variant, token) {
+  const rule = activeRules(variant).findLast((r) => r.pandocToken === token);
+  if (rule) {
+    return { color: rule.color, background: null, bold: rule.bold, italic: rule.italic, underline: false };
+  }
+  const cat = TOKEN_CATEGORIES.find((c) => c.pandocTokens.includes(token));
+  if (cat) {
+    return { color: variant.state[cat.id], background: null, ...variant.styleState[cat.id], underline: false };
+  }
+  return { color: null, background: null, bold: false, italic: false, underline: false };
+}
+
+export function pandocStyle(variant, token) {
+  return variant.pandoc.tokens[token] || basePandocStyle(variant, token);
+}
+
+export function updatePandocStyle(variant, token, changes) {
+  variant.pandoc.tokens[token] = { ...pandocStyle(variant, token), ...changes };
+}
+
+// Unset colors show what Pandoc falls back to: the text color or no background
+export function pandocTargetColor(variant, targetId) {
+  const [key, field] = targetId.slice(PANDOC_TARGET_PREFIX.length).split(":");
+  const value = field ? pandocStyle(variant, key)[field] : variant.pandoc[key];
+  if (value) return value;
+  return field === "background" || key === "lineNumberBackground" ? variant.state.background : variant.state.foreground;
+}
+
+export function setPandocTargetColor(variant, targetId, hex) {
+  const [key, field] = targetId.slice(PANDOC_TARGET_PREFIX.length).split(":");
+  if (field) updatePandocStyle(variant, key, { [field]: hex });
+  else variant.pandoc[key] = hex;
+}
+
+// --- Typography ---
+
+// Font settings are shared by both variants. Family may be a comma-separated list;
+// exports append MONO_FONT_FALLBACKS where the target takes a CSS-style stack.
+export const MONO_FONT_FALLBACKS = ["ui-monospace", "SFMono-Regular", "Consolas", "Menlo", "monospace"];
+
+export const TYPOGRAPHY_FONTS = [
+  "Chivo Mono",
+  "Atkinson Hyperlegible Mono",
+  "JetBrains Mono",
+  "Fira Code",
+  "IBM Plex Mono",
+  "Source Code Pro",
+];
+
+export const TYPOGRAPHY_FIELDS = [
+  { key: "fontSize", label: "Size", unit: "px", min: 8, max: 32, step: 1 },
+  { key: "lineHeight", label: "Line height", unit: "", min: 1, max: 3, step: 0.05 },
+  { key: "letterSpacing", label: "Letter spacing", unit: "px", min: -1, max: 3, step: 0.1 },
+];
+
+export function createTypography() {
+  return { fontFamily: "Chivo Mono", fontSize: 14, lineHeight: 1.6, letterSpacing: 0, ligatures: false };
+}
+
+// Clamps stored or decoded settings, falling back to the defaults field by field
+export function normalizeTypography(value) {
+  const typography = createTypography();
+  if (!value || typeof value !== "object") return typography;
+  if (typeof value.fontFamily === "string" && value.fontFamily.trim()) {
+    typography.fontFamily = value.fontFamily.trim();
+  }
+  for (const field of TYPOGRAPHY_FIELDS) {
+    const number = Number(value[field.key]);
+    if (value[field.key] !== null && value[field.key] !== "" && Number.isFinite(number)) {
+      const stepped = Math.round(number / field.step) * field.step;
+      typography[field.key] = Math.min(field.max, Math.max(field.min, Number(stepped.toFixed(2))));
+    }
+  }
+  typography.ligatures = !!value.ligatures;
+  return typography;
+}
+
+export function fontFamilies(typography) {
+  return typography.fontFamily
+    .split(",")
+    .map((name) => name.trim().replace(/^["']|["']$/g, ""))
+    .filter(Boolean);
+}
+
+export function cssFontStack(typography, quote = '"') {
+  const names = fontFamilies(typography);
+  return [...names, ...MONO_FONT_FALLBACKS.filter((name) => !names.includes(name))]
+    .map((name) => (/^[\w-]+$/.test(name) ? name : `${quote}${name}${quote}`))
+    .join(", ");
+}
+
+export function typographyDeclarations(typography) {
+  return [
+    `font-family: ${cssFontStack(typography)};`,
+    `font-size: ${typography.fontSize}px;`,
+    `line-height: ${typography.lineHeight};`,
+    `letter-spacing: ${typography.letterSpacing}px;`,
+    `font-variant-ligatures: ${typography.ligatures ? "normal" : "none"};`,
+  ];
+}
+
+// --- Workbench (UI) colors ---
+
+// Keys are VS Code workbench color ids. Every color derives from the variant's token
+// colors unless overridden in variant.uiColors. Share links index into this list, so
+// only append to it.
+export const UI_COLOR_TARGET_PREFIX = "ui:";
+
+export const UI_COLOR_GROUPS = [
+  { id: "editor", label: "Editor" },
+  { id: "sidebar", label: "Side bar" },
+  { id: "tabs", label: "Tabs" },
+  { id: "statusBar", label: "Status bar" },
+  { id: "diff", label: "Diff" },
+  { id: "brackets", label: "Brackets" },
+  { id: "terminal", label: "Terminal" },
+];
+
+// ANSI color name, palette color on light backgrounds, palette color on dark backgrounds
+export const ANSI_COLORS = [
+  ["Black", "pitch", "slate"],
+  ["Red", "cinnabar", "dragon"],
+  ["Green", "fern", "matcha"],
+  ["Yellow", "mustard", "canary"],
+  ["Blue", "lapis", "aegean"],
+  ["Magenta", "tanzanite", "aster"],
+  ["Cyan", "asparagus", "seaweed"],
+  ["White", "bark", "chateau"],
+  ["BrightBlack", "slate", "bark"],
+  ["BrightRed", "dragon", "rose"],
+  ["BrightGreen", "matcha", "lime"],
+  ["BrightYellow", "canary", "oat"],
+  ["BrightBlue", "aegean", "vital"],
+  ["BrightMagenta", "aster", "wish"],
+  ["BrightCyan", "seaweed", "zephyr"],
+  ["BrightWhite", "chateau", "parchment"],
+];
+
+export const UI_COLORS = [
+  { group: "editor", key: "editor.selectionBackground", label: "Selection", derive: (s) => mixColors(s.keyword, s.background, 0.2) },
+  { group: "editor", key: "editor.lineHighlightBackground", label: "Line highlight", derive: (s) => mixColors(s.foreground, s.background, 0.06) },
+  { group: "editor", key: "editorCursor.foreground", label: "Cursor", derive: (s) => s.keyword },
+  { group: "editor", key: "editorLineNumber.foreground", label: "Line number", derive: (s) => s.comment },
+  { group: "editor", key: "editorLineNumber.activeForeground", label: "Active number", derive: (s) => s.foreground },
+  { group: "editor", key: "editorGutter.background", label: "Gutter", derive: (s) => s.background },
+  { group: "editor", key: "editorIndentGuide.background1", label: "Indent guide", derive: (s) => mixColors(s.foreground, s.background, 0.12) },
+  { group: "sidebar", key: "sideBar.background", label: "Background", derive: (s) => mixColors(s.foreground, s.background, 0.04) },
+  { group: "sidebar", key: "sideBar.foreground", label: "Foreground", derive: (s) => s.foreground },
+  { group: "sidebar", key: "sideBarSectionHeader.background", label: "Section header", derive: (s) => mixColors(s.foreground, s.background, 0.08) },
+  { group: "sidebar", key: "activityBar.background", label: "Activity bar", derive: (s) => mixColors(s.foreground, s.background, 0.08) },
+  { group: "sidebar", key: "activityBar.foreground", label: "Activity icons", derive: (s) => s.foreground },
+  { group: "tabs", key: "editorGroupHeader.tabsBackground", label: "Tab bar", derive: (s) => mixColors(s.foreground, s.background, 0.06) },
+  { group: "tabs", key: "tab.activeBackground", label: "Active tab", derive: (s) => s.background },
+  { group: "tabs", key: "tab.activeForeground", label: "Active text", derive: (s) => s.foreground },
+  { group: "tabs", key: "tab.inactiveBackground", label: "Inactive tab", derive: (s) => mixColors(s.foreground, s.background, 0.06) },
+  { group: "tabs", key: "tab.inactiveForeground", label: "Inactive text", derive: (s) => s.comment },
+  { group: "tabs", key: "tab.border", label: "Tab border", derive: (s) => mixColors(s.foreground, s.background, 0.15) },
+  { group: "statusBar", key: "statusBar.background", label: "Background", derive: (s) => s.keyword },
+  { group: "statusBar", key: "statusBar.foreground", label: "Foreground", derive: (s) => readableOn(s.keyword) },
+  { group: "diff", key: "diffEditor.insertedTextBackground", label: "Inserted", derive: (s) => mixColors(ansiDefault(s, "Green"), s.background, 0.25) },
+  { group: "diff", key: "diffEditor.removedTextBackground", label: "Removed", derive: (s) => mixColors(ansiDefault(s, "Red"), s.background, 0.25) },
+  { group: "brackets", key: "editorBracketHighlight.foreground1", label: "Level 1", derive: (s) => s.keyword },
+  { group: "brackets", key: "editorBracketHighlight.foreground2", label: "Level 2", derive: (s) => s.function },
+  { group: "brackets", key: "editorBracketHighlight.foreground3", label: "Level 3", derive: (s) => s.string },
+  { group: "brackets", key: "editorBracketMatch.background", label: "Match", derive: (s) => mixColors(s.keyword, s.background, 0.15) },
+  { group: "brackets", key: "editorBracketMatch.border", label: "Match border", derive: (s) => s.keyword },
+  ...ANSI_COLORS.map(([name]) => ({
+    group: "terminal",
+    key: `terminal.ansi${name}`,
+    label: name.replace("Bright", "Bright "),
+    derive: (s) => ansiDefault(s, name),
+  })),
+];
+
+export function mixColors(a, b, amount) {
+  const ca = hexToRgb(a);
+  const cb = hexToRgb(b);
+  return "#" + ca
+    .map((c, i) => Math.round(c * amount + cb[i] * (1 - amount)).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+export function readableOn(hex) {
+  return contrastRatio(hex, "#FFFFFF") >= contrastRatio(hex, "#09090A") ? "#FFFFFF" : "#09090A";
+}
+
+// ANSI_COLORS name built-in Arcadia colors whichever palette the app has active
+function ansiDefault(state, name) {
+  const [, light, dark] = ANSI_COLORS.find(([n]) => n === name);
+  const colorName = isLightBackground(state.background) ? light : dark;
+  return Object.values(PALETTE).flat().find((c) => c.name === colorName).hex;
+}
+
+export function uiColor(variant, key) {
+  const override = variant.uiColors[key];
+  if (override) return override;
+  return UI_COLORS.find((def) => def.key === key).derive(variant.state);
+}
+
+export function uiColorsFor(variant) {
+  return Object.fromEntries(UI_COLORS.map((def) => [def.key, uiColor(variant, def.key)]));
+}
+
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// For values inside double-quoted XML attributes
+function escapeXmlAttribute(text) {
+  return escapeXml(text).replace(/"/g, "&quot;");
+}
+
+// --- Reverse lookup tables (scope/token -> category id) ---
+
+export const tmScopeToCategoryId = new Map();
+for (const cat of TOKEN_CATEGORIES) {
+  for (const scope of cat.tmScopes) {
+    tmScopeToCategoryId.set(scope, cat.id);
+  }
+}
+
+export const pandocTokenToCategoryId = new Map();
+for (const cat of TOKEN_CATEGORIES) {
+  for (const tok of cat.pandocTokens) {
+    pandocTokenToCategoryId.set(tok, cat.id);
+    pandocTokenToCategoryId.set(tok + "Tok", cat.id);
+  }
+}
+
+export function scopeMatchesSelector(scope, selector) {
+  return scope === selector || scope.startsWith(selector + ".");
+}
+
+// --- Theme builders (state -> export format) ---
+
+export function buildShikiTheme(variant) {
+  const { state, styleState } = variant;
+  return {
+    name: "arcadia-custom",
+    type: isLightBackground(state.background) ? "light" : "dark",
+    colors: {
+      "editor.background": state.background,
+      "editor.foreground": state.foreground,
+    },
+    settings: [
+      {
+        settings: {
+          background: state.background,
+          foreground: state.foreground,
+        },
+      },
+      ...TOKEN_CATEGORIES.map((cat) => {
+        const settings = { foreground: state[cat.id] };
+        const fs = fontStyle(cat.id, styleState);
+        if (fs) settings.fontStyle = fs;
+        return { scope: cat.tmScopes, settings };
+      }),
+      ...activeRules(variant).map((rule) => {
+        const settings = { foreground: rule.color };
+        const fs = ruleFontStyle(rule);
+        if (fs) settings.fontStyle = fs;
+        return { scope: ruleScopes(rule), settings };
+      }),
+    ],
+  };
+}
+
+export function buildTmTheme(theme, variantId) {
+  const variant = theme.variants[variantId];
+  const { state, styleState } = variant;
+  const entries = [
+    ...TOKEN_CATEGORIES.map((cat) => ({
+      name: cat.label,
+      scope: cat.tmScopes.join(", "),
+      foreground: state[cat.id],
+      fontStyle: fontStyle(cat.id, styleState),
+    })),
+    ...activeRules(variant).map((rule) => ({
+      name: rule.scope,
+      scope: ruleScopes(rule).join(", "),
+      foreground: rule.color,
+      fontStyle: ruleFontStyle(rule),
+    })),
+  ];
+  const { author, description } = theme.metadata;
+  const plistMetadata = [["author", author], ["comment", description]]
+    .filter(([, value]) => value)
+    .map(([key, value]) => `
+    <key>${key}</key>
+    <string>${escapeXml(value)}</string>`)
+    .join("");
+  const scopeEntries = entries.map(
+    (entry) => {
+      const fsEntry = entry.fontStyle ? `
+                <key>fontStyle</key>
+                <string>${entry.fontStyle}</string>` : "";
+      return `
+        <dict>
+            <key>name</key>
+            <string>${escapeXml(entry.name)}</string>
+            <key>scope</key>
+            <string>${escapeXml(entry.scope)}</string>
+            <key>settings</key>
+            <dict>
+                <key>foreground</key>
+                <string>${entry.foreground}</string>${fsEntry}
+            </dict>
+        </dict>`;
+    }
+  ).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple Computer//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+    <key>name</key>
+    <string>${escapeXml(variantThemeName(theme, variantId))}</string>${plistMetadata}
+    <key>settings</key>
+    <array>
+        <dict>
+            <key>settings</key>
+            <dict>
+                <key>background</key>
+                <string>${state.background}</string>
+                <key>foreground</key>
+                <string>${state.foreground}</string>
+            </dict>
+        </dict>${scopeEntries}
+    </array>
+</dict>
+</plist>`;
+}
+
+export function buildPandocTheme(theme, variantId) {
+  const variant = theme.variants[variantId];
+  const { state } = variant;
+  const textStyles = {};
+  for (const tok of ALL_PANDOC_TOKENS) {
+    const style = pandocStyle(variant, tok);
+    textStyles[tok] = {
+      "text-color": style.color,
+      "background-color": style.background,
+      "bold": style.bold,
+      "italic": style.italic,
+      "underline": style.underline,
+    };
+  }
+
+  return JSON.stringify(
+    {
+      metadata: {
+        name: variantThemeName(theme, variantId),
+        author: theme.metadata.author,
+        license: theme.metadata.license,
+        revision: 1,
+      },
+      "text-color": state.foreground,
+      "background-color": state.background,
+      "line-number-color": variant.pandoc.lineNumberColor || state.foreground,
+      "line-number-background-color": variant.pandoc.lineNumberBackground,
+      "text-styles": textStyles,
+    },
+    null,
+    2
+  );
+}
+
+// The highlighting CSS Pandoc writes into HTML for a .theme file (after Skylighting's
+// styleToCss), with every selector placed under `scope`
+export function pandocCss(theme, scope = "", typography = null) {
+  const prefix = scope ? `${scope} ` : "";
+  const lineColor = theme["line-number-color"] || "#aaaaaa";
+  const lineBackground = theme["line-number-background-color"];
+  const css = [
+    `${prefix}div.sourceCode { color: ${theme["text-color"]}; background-color: ${theme["background-color"]}; }`,
+    `${prefix}pre.sourceCode { margin: 0; }`,
+    `${prefix}pre > code.sourceCode { white-space: pre; position: relative; }`,
+    `${prefix}pre > code.sourceCode > span { display: inline-block; line-height: ${typography?.lineHeight ?? 1.25}; }`,
+    `${prefix}pre > code.sourceCode > span:empty { height: 1.2em; }`,
+    `${prefix}code.sourceCode > span { color: inherit; text-decoration: inherit; }`,
+    `${prefix}pre.numberSource code { counter-reset: source-line 0; }`,
+    `${prefix}pre.numberSource code > span { position: relative; left: -4em; counter-increment: source-line; }`,
+    `${prefix}pre.numberSource code > span > a:first-child::before { content: counter(source-line); position: relative; left: -1em; text-align: right; vertical-align: baseline; border: none; display: inline-block; user-select: none; padding: 0 4px; width: 4em; color: ${lineColor};${lineBackground ? ` background-color: ${lineBackground};` : ""} }`,
+    `${prefix}pre.numberSource { margin-left: 3em; border-left: 1px solid ${lineColor}; padding-left: 4px; }`,
+  ];
+  if (typography) {
+    const fonts = typographyDeclarations(typography).filter((decl) => !decl.startsWith("line-height"));
+    css.push(`${prefix}pre > code.sourceCode { ${fonts.join(" ")} }`);
+  }
+
+  for (const [token, cls] of Object.entries(PANDOC_TOKEN_CLASSES)) {
+    const style = theme["text-styles"][token];
+    if (!style) continue;
+    const decls = [];
+    if (style["text-color"]) decls.push(`color: ${style["text-color"]};`);
+    if (style["background-color"]) decls.push(`background-color: ${style["background-color"]};`);
+    if (style.bold) decls.push("font-weight: bold;");
+    if (style.italic) decls.push("font-style: italic;");
+    if (style.underline) decls.push("text-decoration: underline;");
+    if (decls.length > 0) css.push(`${prefix}code span.${cls} { ${decls.join(" ")} } /* ${token} */`);
+  }
+  return css.join("\n");
+}
+
+export function buildVscodeTheme(theme, variantId) {
+  const variant = theme.variants[variantId];
+  const { state, styleState } = variant;
+  return JSON.stringify(
+    {
+      $schema: "vscode://schemas/color-theme",
+      name: variantThemeName(theme, variantId),
+      type: variantId,
+      colors: {
+        "editor.background": state.background,
+        "editor.foreground": state.foreground,
+        ...uiColorsFor(variant),
+      },
+      tokenColors: [
+        ...TOKEN_CATEGORIES.map((cat) => {
+          const settings = { foreground: state[cat.id] };
+          const fs = fontStyle(cat.id, styleState);
+          if (fs) settings.fontStyle = fs;
+          return { name: cat.label, scope: cat.tmScopes, settings };
+        }),
+        ...activeRules(variant).map((rule) => {
+          const settings = { foreground: rule.color };
+          const fs = ruleFontStyle(rule);
+          if (fs) settings.fontStyle = fs;
+          return { name: rule.scope, scope: ruleScopes(rule), settings };
+        }),
+      ],
+    },
+    null,
+    2
+  );
+}
+
+// Quarto's highlight-style takes the .theme, which has no fonts; this stylesheet
+// (listed under `css:`) restyles the same Skylighting classes with the typography
+export function buildQuartoCss(theme, variantId) {
+  const pandocTheme = JSON.parse(buildPandocTheme(theme, variantId));
+  return `/* ${generatedHeader(theme, variantId)} */\n\n${pandocCss(pandocTheme, "", theme.typography)}\n`;
+}
+
+// Color themes can't set fonts, so the typography ships as a settings.json snippet
+export function buildVscodeSettings(theme) {
+  const { typography } = theme;
+  return JSON.stringify(
+    {
+      "editor.fontFamily": cssFontStack(typography, "'"),
+      "editor.fontSize": typography.fontSize,
+      "editor.lineHeight": typography.lineHeight,
+      "editor.letterSpacing": typography.letterSpacing,
+      "editor.fontLigatures": typography.ligatures,
+    },
+    null,
+    2
+  );
+}
+
+const VSCODE_EXTENSION_PUBLISHER = "arcadia-science";
+const VSCODE_EXTENSION_VERSION = "0.0.1";
+const VSCODE_ENGINE = "^1.60.0";
+
+const MAX_SLUG_LENGTH = 64;
+
+// Names Windows refuses for files regardless of extension
+const RESERVED_FILE_NAMES = new Set([
+  "con", "prn", "aux", "nul",
+  ...Array.from({ length: 9 }, (_, i) => `com${i + 1}`),
+  ...Array.from({ length: 9 }, (_, i) => `lpt${i + 1}`),
+]);
+
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "") || DEFAULT_THEME_NAME;
+}
+
+// The slug every exported file name is built from, plus a message when the theme
+// name can't be used as typed. `error` means nothing should be written.
+export function validateThemeSlug(name) {
+  if (!/[a-z0-9]/i.test(name)) {
+    return { slug: null, error: "The theme name needs at least one letter or digit to be used in file names." };
+  }
+  let slug = slugify(name);
+  if (RESERVED_FILE_NAMES.has(slug)) slug = `${slug}-theme`;
+  // Lowercasing alone isn't worth a warning; the dialog shows the slug anyway
+  if (slug !== name.toLowerCase()) {
+    return { slug, warning: `Files will be named "${slug}" because "${name}" is not a safe file name.` };
+  }
+  return { slug };
+}
+
+export function themeSlug(theme) {
+  return validateThemeSlug(theme.name).slug || DEFAULT_THEME_NAME;
+}
+
+export function variantFileSlug(theme, variantId) {
+  return `${themeSlug(theme)}-${variantId}`;
+}
+
+// Extension ids must be lowercase and URL-safe
+export function vscodeExtensionName(theme) {
+  return themeSlug(theme);
+}
+
+export function vscodeExtensionThemePath(theme, variantId) {
+  return `themes/${variantFileSlug(theme, variantId)}-color-theme.json`;
+}
+
+// Extension manifest that registers both variants as a VS Code light/dark pair
+export function buildVscodeManifest(theme) {
+  const { author, license } = theme.metadata;
+  return JSON.stringify(
+    {
+      name: vscodeExtensionName(theme),
+      displayName: theme.name,
+      description: extensionDescription(theme),
+      publisher: VSCODE_EXTENSION_PUBLISHER,
+      version: VSCODE_EXTENSION_VERSION,
+      ...(author && { author }),
+      ...(license && { license }),
+      engines: { vscode: VSCODE_ENGINE },
+      categories: ["Themes"],
+      contributes: {
+        themes: VARIANTS.map((v) => ({
+          label: variantThemeName(theme, v.id),
+          uiTheme: v.uiTheme,
+          path: `./${vscodeExtensionThemePath(theme, v.id)}`,
+        })),
+      },
+    },
+    null,
+    2
+  );
+}
+
+function extensionDescription(theme) {
+  return theme.metadata.description || `Light and dark ${theme.name} color themes`;
+}
+
+export function buildVsixManifest(theme) {
+  const name = escapeXmlAttribute(vscodeExtensionName(theme));
+  const displayName = escapeXml(theme.name);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<PackageManifest Version="2.0.0" xmlns="http://schemas.microsoft.com/developer/vsx-schema/2011" xmlns:d="http://schemas.microsoft.com/developer/vsx-schema-design/2011">
+  <Metadata>
+    <Identity Language="en-US" Id="${name}" Version="${VSCODE_EXTENSION_VERSION}" Publisher="${VSCODE_EXTENSION_PUBLISHER}" />
+    <DisplayName>${displayName}</DisplayName>
+    <Description xml:space="preserve">${escapeXml(extensionDescription(theme))}</Description>
+    <Tags>theme,color-theme</Tags>
+    <Categories>Themes</Categories>
+    <GalleryFlags>Public</GalleryFlags>
+    <Properties>
+      <Property Id="Microsoft.VisualStudio.Code.Engine" Value="${VSCODE_ENGINE}" />
+      <Property Id="Microsoft.VisualStudio.Code.ExtensionDependencies" Value="" />
+      <Property Id="Microsoft.VisualStudio.Code.ExtensionPack" Value="" />
+      <Property Id="Microsoft.VisualStudio.Code.ExtensionKind" Value="ui,workspace" />
+      <Property Id="Microsoft.VisualStudio.Code.LocalizedLanguages" Value="" />
+      <Property Id="Microsoft.VisualStudio.Services.GitHubFlavoredMarkdown" Value="true" />
+    </Properties>
+  </Metadata>
+  <Installation>
+    <InstallationTarget Id="Microsoft.VisualStudio.Code" />
+  </Installation>
+  <Dependencies />
+  <Assets>
+    <Asset Type="Microsoft.VisualStudio.Code.Manifest" Path="extension/package.json" Addressable="true" />
+    <Asset Type="Microsoft.VisualStudio.Services.Content.Details" Path="extension/README.md" Addressable="true" />
+  </Assets>
+</PackageManifest>`;
+}
+
+export function buildVsixContentTypes() {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension=".json" ContentType="application/json" />
+  <Default Extension=".md" ContentType="text/markdown" />
+  <Default Extension=".png" ContentType="image/png" />
+  <Default Extension=".vsixmanifest" ContentType="text/xml" />
+</Types>`;
+}
+
+export function buildExtensionReadme(theme) {
+  return `# ${theme.name}
+
+Light and dark syntax themes built with the Arcadia Syntax Theme Builder.
+
+![Preview of the light and dark variants](images/preview.png)
+
+## Install
+
+\`\`\`sh
+code --install-extension ${vscodeExtensionName(theme)}.vsix
+\`\`\`
+
+Then pick ${VARIANTS.map((v) => `"${variantThemeName(theme, v.id)}"`).join(" or ")} from **Preferences: Color Theme**.
+
+## Font settings
+
+Color themes can't change fonts. To match the theme's typography, add this to your \`settings.json\`:
+
+\`\`\`json
+${buildVscodeSettings(theme)}
+\`\`\`
+`;
+}
+
+// --- Additional export targets ---
+
+// Each target's token names mapped onto TOKEN_CATEGORIES ids. Order matters where the
+// target lets later or more specific entries override earlier ones.
+// The CSS targets also give the TextMate scope each class stands for, so scope rules
+// can be matched to classes.
+
+const PYGMENTS_TOKENS = [
+  ["Keyword", "keyword"],
+  ["Keyword.Constant", "constant"],
+  ["Keyword.Namespace", "import"],
+  ["Keyword.Type", "type"],
+  ["Error", "error"],
+  ["Generic.Error", "error"],
+  ["String", "string"],
+  ["Name.Function", "function"],
+  ["Name.Function.Magic", "function"],
+  ["Name.Builtin", "function"],
+  ["Comment", "comment"],
+  ["Comment.Preproc", "import"],
+  ["Name.Class", "class"],
+  ["Name.Variable", "variable"],
+  ["Name.Builtin.Pseudo", "variable"],
+  ["Number", "number"],
+  ["Name.Constant", "constant"],
+  ["Operator", "operator"],
+  ["Operator.Word", "operator"],
+  ["Name.Attribute", "attribute"],
+  ["Name.Decorator", "attribute"],
+];
+
+const HIGHLIGHTJS_CLASSES = [
+  [".hljs-keyword", "keyword", "keyword"],
+  [".hljs-selector-tag", "keyword", "entity.name.tag.css"],
+  [".hljs-name", "keyword", "entity.name.tag"],
+  [".hljs-deletion", "error", "markup.deleted"],
+  [".hljs-string", "string", "string"],
+  [".hljs-regexp", "string", "string.regexp"],
+  [".hljs-addition", "string", "markup.inserted"],
+  [".hljs-title", "function", "entity.name"],
+  [".hljs-title.function_", "function", "entity.name.function"],
+  [".hljs-built_in", "function", "support.function"],
+  [".hljs-comment", "comment", "comment"],
+  [".hljs-quote", "comment", "markup.quote"],
+  [".hljs-doctag", "comment", "comment.block.documentation"],
+  [".hljs-type", "type", "entity.name.type"],
+  [".hljs-title.class_", "class", "entity.name.class"],
+  [".hljs-selector-class", "class", "entity.other.attribute-name.class.css"],
+  [".hljs-variable", "variable", "variable"],
+  [".hljs-template-variable", "variable", "variable.other.template"],
+  [".hljs-params", "variable", "variable.parameter"],
+  [".hljs-property", "variable", "variable.other.property"],
+  [".hljs-number", "number", "constant.numeric"],
+  [".hljs-literal", "constant", "constant.language"],
+  [".hljs-symbol", "constant", "constant.other.symbol"],
+  [".hljs-operator", "operator", "keyword.operator"],
+  [".hljs-meta", "import", "meta.preprocessor"],
+  [".hljs-meta .hljs-keyword", "import", "keyword.control.directive"],
+  [".hljs-attr", "attribute", "entity.other.attribute-name"],
+  [".hljs-attribute", "attribute", "support.type.property-name"],
+  [".hljs-title.class_.inherited__", "attribute", "entity.other.inherited-class"],
+];
+
+const PRISM_CLASSES = [
+  [".token.keyword", "keyword", "keyword"],
+  [".token.deleted", "error", "markup.deleted"],
+  [".token.important", "error", "keyword.other.important"],
+  [".token.string", "string", "string"],
+  [".token.char", "string", "constant.character"],
+  [".token.regex", "string", "string.regexp"],
+  [".token.inserted", "string", "markup.inserted"],
+  [".token.attr-value", "string", "string.quoted.double.html"],
+  [".token.function", "function", "entity.name.function"],
+  [".token.builtin", "function", "support.function"],
+  [".token.comment", "comment", "comment"],
+  [".token.prolog", "comment", "meta.tag.preprocessor.xml"],
+  [".token.doctype", "comment", "meta.tag.sgml.doctype"],
+  [".token.cdata", "comment", "string.unquoted.cdata"],
+  [".token.class-name", "class", "entity.name.class"],
+  [".token.variable", "variable", "variable"],
+  [".token.parameter", "variable", "variable.parameter"],
+  [".token.property", "variable", "variable.other.property"],
+  [".token.number", "number", "constant.numeric"],
+  [".token.boolean", "constant", "constant.language.boolean"],
+  [".token.constant", "constant", "constant.other"],
+  [".token.symbol", "constant", "constant.other.symbol"],
+  [".token.operator", "operator", "keyword.operator"],
+  [".token.entity", "operator", "constant.character.entity"],
+  [".token.namespace", "import", "entity.name.namespace"],
+  [".token.attr-name", "attribute", "entity.other.attribute-name"],
+  [".token.selector", "attribute", "meta.selector"],
+  [".token.decorator", "attribute", "meta.decorator"],
+  [".token.annotation", "attribute", "storage.type.annotation"],
+];
+
+const JETBRAINS_ATTRIBUTES = [
+  ["DEFAULT_KEYWORD", "keyword"],
+  ["ERRORS_ATTRIBUTES", "error"],
+  ["BAD_CHARACTER", "error"],
+  ["DEFAULT_STRING", "string"],
+  ["DEFAULT_VALID_STRING_ESCAPE", "string"],
+  ["DEFAULT_FUNCTION_DECLARATION", "function"],
+  ["DEFAULT_FUNCTION_CALL", "function"],
+  ["DEFAULT_PREDEFINED_SYMBOL", "function"],
+  ["PY.BUILTIN_NAME", "function"],
+  ["DEFAULT_LINE_COMMENT", "comment"],
+  ["DEFAULT_BLOCK_COMMENT", "comment"],
+  ["DEFAULT_DOC_COMMENT", "comment"],
+  ["DEFAULT_INTERFACE_NAME", "type"],
+  ["DEFAULT_CLASS_NAME", "class"],
+  ["DEFAULT_CLASS_REFERENCE", "class"],
+  ["DEFAULT_LOCAL_VARIABLE", "variable"],
+  ["DEFAULT_GLOBAL_VARIABLE", "variable"],
+  ["DEFAULT_PARAMETER", "variable"],
+  ["DEFAULT_INSTANCE_FIELD", "variable"],
+  ["DEFAULT_NUMBER", "number"],
+  ["DEFAULT_CONSTANT", "constant"],
+  ["DEFAULT_STATIC_FIELD", "constant"],
+  ["DEFAULT_OPERATION_SIGN", "operator"],
+  ["DEFAULT_METADATA", "attribute"],
+  ["PY.DECORATOR", "attribute"],
+];
+
+const VIM_GROUPS = [
+  ["Keyword", "keyword"],
+  ["Statement", "keyword"],
+  ["Conditional", "keyword"],
+  ["Repeat", "keyword"],
+  ["Exception", "keyword"],
+  ["@keyword", "keyword"],
+  ["Error", "error"],
+  ["@error", "error"],
+  ["String", "string"],
+  ["Character", "string"],
+  ["@string", "string"],
+  ["Function", "function"],
+  ["@function", "function"],
+  ["@function.call", "function"],
+  ["@function.builtin", "function"],
+  ["Comment", "comment"],
+  ["@comment", "comment"],
+  ["Type", "type"],
+  ["StorageClass", "type"],
+  ["Typedef", "type"],
+  ["@type", "type"],
+  ["@type.builtin", "type"],
+  ["Structure", "class"],
+  ["@constructor", "class"],
+  ["Identifier", "variable"],
+  ["@variable", "variable"],
+  ["@variable.parameter", "variable"],
+  ["Number", "number"],
+  ["Float", "number"],
+  ["@number", "number"],
+  ["Constant", "constant"],
+  ["Boolean", "constant"],
+  ["@constant", "constant"],
+  ["@constant.builtin", "constant"],
+  ["@boolean", "constant"],
+  ["Operator", "operator"],
+  ["@operator", "operator"],
+  ["PreProc", "import"],
+  ["Include", "import"],
+  ["@keyword.import", "import"],
+  ["@attribute", "attribute"],
+  ["@property", "attribute"],
+];
+
+const EMACS_FACES = [
+  ["font-lock-keyword-face", "keyword"],
+  ["font-lock-warning-face", "error"],
+  ["error", "error"],
+  ["font-lock-string-face", "string"],
+  ["font-lock-function-name-face", "function"],
+  ["font-lock-function-call-face", "function"],
+  ["font-lock-builtin-face", "function"],
+  ["font-lock-comment-face", "comment"],
+  ["font-lock-comment-delimiter-face", "comment"],
+  ["font-lock-doc-face", "comment"],
+  ["font-lock-type-face", "type"],
+  ["font-lock-variable-name-face", "variable"],
+  ["font-lock-variable-use-face", "variable"],
+  ["font-lock-number-face", "number"],
+  ["font-lock-constant-face", "constant"],
+  ["font-lock-operator-face", "operator"],
+  ["font-lock-preprocessor-face", "import"],
+  ["font-lock-property-name-face", "attribute"],
+];
+
+function generatedHeader(theme, variantId) {
+  return `${variantThemeName(theme, variantId)}, generated by the Arcadia Syntax Theme Builder`;
+}
+
+// Python identifiers can't start with a digit, which slugs can
+function pythonIdentifier(name, prefix) {
+  return /^[0-9]/.test(name) ? `${prefix}${name}` : name;
+}
+
+function pygmentsClassName(theme, variantId) {
+  const name = slugify(variantThemeName(theme, variantId))
+    .split("-")
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("");
+  return pythonIdentifier(name, "Theme") + "Style";
+}
+
+function pygmentsModuleName(slug) {
+  return pythonIdentifier(slug.replace(/-/g, "_"), "theme_");
+}
+
+function pythonDocstring(text) {
+  return `"""${text.replace(/\\/g, "\\\\").replace(/"""/g, '\\"\\"\\"')}."""`;
+}
+
+export function buildPygmentsStyle(theme, variantId) {
+  const variant = theme.variants[variantId];
+  const { state, styleState } = variant;
+  const ui = uiColorsFor(variant);
+  const roots = [...new Set(["Token", ...PYGMENTS_TOKENS.map(([token]) => token.split(".")[0])])].sort();
+  const styles = PYGMENTS_TOKENS.map(([token, id]) => {
+    const style = styleState[id];
+    const parts = [style.bold ? "bold" : "nobold", style.italic ? "italic" : "noitalic", state[id]];
+    return `        ${token}: "${parts.join(" ")}",`;
+  });
+
+  return `${pythonDocstring(generatedHeader(theme, variantId))}
+
+from pygments.style import Style
+from pygments.token import ${roots.join(", ")}
+
+
+class ${pygmentsClassName(theme, variantId)}(Style):
+    name = "${slugify(variantThemeName(theme, variantId))}"
+
+    background_color = "${state.background}"
+    highlight_color = "${ui["editor.selectionBackground"]}"
+    line_number_color = "${ui["editorLineNumber.foreground"]}"
+    line_number_background_color = "${ui["editorGutter.background"]}"
+
+    styles = {
+        Token: "${state.foreground}",
+${styles.join("\n")}
+    }
+`;
+}
+
+// A scope rule styles every class whose scope its selectors cover (TextMate prefix
+// matching). Rules covering no class are listed in the header, since the target has
+// nothing to attach them to.
+function buildCssTheme(theme, variantId, container, mapping) {
+  const variant = theme.variants[variantId];
+  const { state, styleState } = variant;
+  const rules = TOKEN_CATEGORIES.map((cat) => {
+    const selectors = mapping.filter(([, id]) => id === cat.id).map(([selector]) => selector);
+    if (selectors.length === 0) return "";
+    const style = styleState[cat.id];
+    return `
+${selectors.join(",\n")} {
+  color: ${state[cat.id]};
+  font-weight: ${style.bold ? "bold" : "normal"};
+  font-style: ${style.italic ? "italic" : "normal"};
+}
+`;
+  }).join("");
+
+  const depth = (selector) => selector.split(".").length;
+  const comment = (text) => text.replace(/\*\//g, "* /");
+  const scopeRules = activeRules(variant).map((rule) => {
+    const selectors = ruleScopes(rule);
+    return {
+      rule,
+      classes: mapping
+        .filter(([, , scope]) => selectors.some((selector) => scopeMatchesSelector(scope, selector)))
+        .map(([selector]) => selector),
+      depth: Math.max(...selectors.map(depth)),
+    };
+  });
+  const unmatched = scopeRules.filter(({ classes }) => classes.length === 0).map(({ rule }) => rule.scope);
+  // Later blocks win at equal specificity, so more specific rules go last
+  const ruleBlocks = scopeRules
+    .filter(({ classes }) => classes.length > 0)
+    .sort((a, b) => a.depth - b.depth)
+    .map(({ rule, classes }) => `
+/* ${comment(rule.scope)} */
+${classes.join(",\n")} {
+  color: ${rule.color};
+  font-weight: ${rule.bold ? "bold" : "normal"};
+  font-style: ${rule.italic ? "italic" : "normal"};
+}
+`).join("");
+  const skipped = unmatched.length > 0 ? `\n   Scope rules with no matching class: ${comment(unmatched.join("; "))}` : "";
+
+  return `/* ${generatedHeader(theme, variantId)}${skipped} */
+
+${container} {
+  color: ${state.foreground};
+  background: ${state.background};
+  ${typographyDeclarations(theme.typography).join("\n  ")}
+}
+${rules}${ruleBlocks}`;
+}
+
+export function buildHighlightjsCss(theme, variantId) {
+  return buildCssTheme(theme, variantId, "pre code.hljs,\ncode.hljs,\n.hljs", HIGHLIGHTJS_CLASSES);
+}
+
+export function buildPrismCss(theme, variantId) {
+  return buildCssTheme(theme, variantId, 'code[class*="language-"],\npre[class*="language-"]', PRISM_CLASSES);
+}
+
+export function buildJetbrainsScheme(theme, variantId) {
+  const variant = theme.variants[variantId];
+  const { state, styleState } = variant;
+  // JetBrains has no letter spacing, and only the first family is used
+  const { typography } = theme;
+  const ui = uiColorsFor(variant);
+  const bare = (hex) => hex.replace("#", "").toLowerCase();
+  const fontType = (style) => (style.bold ? 1 : 0) | (style.italic ? 2 : 0);
+  const colorOption = (name, hex) => `    <option name="${name}" value="${bare(hex)}" />`;
+
+  const attributes = JETBRAINS_ATTRIBUTES.map(([name, id]) => {
+    const effect = id === "error" ? `
+        <option name="EFFECT_COLOR" value="${bare(state[id])}" />
+        <option name="EFFECT_TYPE" value="2" />` : "";
+    return `    <option name="${name}">
+      <value>
+        <option name="FOREGROUND" value="${bare(state[id])}" />
+        <option name="FONT_TYPE" value="${fontType(styleState[id])}" />${effect}
+      </value>
+    </option>`;
+  });
+
+  return `<!-- ${escapeXml(generatedHeader(theme, variantId))} -->
+<scheme name="${escapeXmlAttribute(variantThemeName(theme, variantId))}" version="142" parent_scheme="${variantId === "dark" ? "Darcula" : "Default"}">
+  <option name="FONT_SCALE" value="1.0" />
+  <option name="LINE_SPACING" value="${typography.lineHeight}" />
+  <option name="EDITOR_FONT_SIZE" value="${typography.fontSize}" />
+  <option name="EDITOR_FONT_NAME" value="${escapeXmlAttribute(fontFamilies(typography)[0] || "Monospaced")}" />
+  <option name="EDITOR_LIGATURES" value="${typography.ligatures}" />
+  <colors>
+${[
+    colorOption("CARET_COLOR", ui["editorCursor.foreground"]),
+    colorOption("CARET_ROW_COLOR", ui["editor.lineHighlightBackground"]),
+    colorOption("GUTTER_BACKGROUND", ui["editorGutter.background"]),
+    colorOption("INDENT_GUIDE", ui["editorIndentGuide.background1"]),
+    colorOption("LINE_NUMBERS_COLOR", ui["editorLineNumber.foreground"]),
+    colorOption("LINE_NUMBER_ON_CARET_ROW_COLOR", ui["editorLineNumber.activeForeground"]),
+    colorOption("SELECTION_BACKGROUND", ui["editor.selectionBackground"]),
+  ].join("\n")}
+  </colors>
+  <attributes>
+    <option name="TEXT">
+      <value>
+        <option name="FOREGROUND" value="${bare(state.foreground)}" />
+        <option name="BACKGROUND" value="${bare(state.background)}" />
+      </value>
+    </option>
+${attributes.join("\n")}
+  </attributes>
+</scheme>
+`;
+}
+
+export function buildNeovimColorscheme(theme, variantId) {
+  const variant = theme.variants[variantId];
+  const { state, styleState } = variant;
+  const ui = uiColorsFor(variant);
+  const name = slugify(variantThemeName(theme, variantId));
+  const hl = (group, fields) => `hl("${group}", { ${fields.join(", ")} })`;
+  const tokenFields = (id) => [
+    `fg = "${state[id]}"`,
+    `bold = ${styleState[id].bold}`,
+    `italic = ${styleState[id].italic}`,
+  ];
+
+  return `-- ${generatedHeader(theme, variantId)}
+-- Save as colors/${name}.lua and run :colorscheme ${name}
+
+vim.cmd("highlight clear")
+if vim.fn.exists("syntax_on") == 1 then
+  vim.cmd("syntax reset")
+end
+vim.o.background = "${isLightBackground(state.background) ? "light" : "dark"}"
+vim.g.colors_name = "${name}"
+
+local function hl(group, opts)
+  vim.api.nvim_set_hl(0, group, opts)
+end
+
+${[
+    hl("Normal", [`fg = "${state.foreground}"`, `bg = "${state.background}"`]),
+    hl("Visual", [`bg = "${ui["editor.selectionBackground"]}"`]),
+    hl("CursorLine", [`bg = "${ui["editor.lineHighlightBackground"]}"`]),
+    hl("Cursor", [`fg = "${state.background}"`, `bg = "${ui["editorCursor.foreground"]}"`]),
+    hl("LineNr", [`fg = "${ui["editorLineNumber.foreground"]}"`, `bg = "${ui["editorGutter.background"]}"`]),
+    hl("CursorLineNr", [`fg = "${ui["editorLineNumber.activeForeground"]}"`]),
+    hl("SignColumn", [`bg = "${ui["editorGutter.background"]}"`]),
+    hl("StatusLine", [`fg = "${ui["statusBar.foreground"]}"`, `bg = "${ui["statusBar.background"]}"`]),
+    hl("DiffAdd", [`bg = "${ui["diffEditor.insertedTextBackground"]}"`]),
+    hl("DiffDelete", [`bg = "${ui["diffEditor.removedTextBackground"]}"`]),
+    hl("MatchParen", [`bg = "${ui["editorBracketMatch.background"]}"`]),
+    ...VIM_GROUPS.map(([group, id]) => hl(group, tokenFields(id))),
+  ].join("\n")}
+`;
+}
+
+// Backslashes first, so the ones escaping quotes aren't doubled
+function elispString(text) {
+  return text.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+export function buildEmacsTheme(theme, variantId) {
+  const variant = theme.variants[variantId];
+  const { state, styleState } = variant;
+  const ui = uiColorsFor(variant);
+  const name = slugify(variantThemeName(theme, variantId));
+  const face = (faceName, attrs) => ` '(${faceName} ((t (${attrs}))))`;
+  const tokenAttrs = (id) =>
+    `:foreground "${state[id]}" :weight ${styleState[id].bold ? "bold" : "normal"} :slant ${styleState[id].italic ? "italic" : "normal"}`;
+
+  return `;;; ${name}-theme.el --- ${generatedHeader(theme, variantId)}  -*- lexical-binding: t -*-
+
+;;; Code:
+
+(deftheme ${name} "${elispString(variantThemeName(theme, variantId))} color theme.")
+
+(custom-theme-set-faces
+ '${name}
+${[
+    face("default", `:foreground "${state.foreground}" :background "${state.background}"`),
+    face("cursor", `:background "${ui["editorCursor.foreground"]}"`),
+    face("region", `:background "${ui["editor.selectionBackground"]}"`),
+    face("hl-line", `:background "${ui["editor.lineHighlightBackground"]}"`),
+    face("fringe", `:background "${ui["editorGutter.background"]}"`),
+    face("line-number", `:foreground "${ui["editorLineNumber.foreground"]}"`),
+    face("line-number-current-line", `:foreground "${ui["editorLineNumber.activeForeground"]}"`),
+    face("mode-line", `:foreground "${ui["statusBar.foreground"]}" :background "${ui["statusBar.background"]}"`),
+    face("show-paren-match", `:background "${ui["editorBracketMatch.background"]}"`),
+    ...EMACS_FACES.map(([faceName, id]) => face(faceName, tokenAttrs(id))),
+  ].join("\n")})
+
+;;;###autoload
+(when load-file-name
+  (add-to-list 'custom-theme-load-path
+               (file-name-as-directory (file-name-directory load-file-name))))
+
+(provide-theme '${name})
+
+;;; ${name}-theme.el ends here
+`;
+}
+
+// --- Theme documents (.arcadia-theme.json) ---
+
+// The native format: the whole theme, including what the export formats drop, under
+// a version number. arcadia-theme.schema.json describes the current version; older
+// documents are migrated on load.
+export const THEME_DOCUMENT_VERSION = 1;
+export const THEME_DOCUMENT_SUFFIX = ".arcadia-theme.json";
+const THEME_DOCUMENT_SCHEMA = "https://raw.githubusercontent.com/Arcadia-Science/arcadia-syntax-highlighting/main/arcadia-theme.schema.json";
+
+// THEME_DOCUMENT_MIGRATIONS[n] turns a version n document into version n + 1.
+// Version 0 is the unversioned project snapshot that saved themes and the CLI's
+// theme.json used before documents existed: { name, variants: { light: { state,
+// styleState, customRules, uiColors, pandoc, paletteRefs }, ... }, typography }.
+const THEME_DOCUMENT_MIGRATIONS = [
+  (snapshot) => ({
+    version: 1,
+    name: snapshot.name,
+    metadata: createMetadata(),
+    typography: snapshot.typography,
+    variants: Object.fromEntries(
+      Object.entries(snapshot.variants || {}).map(([id, variant]) => [
+        id,
+        variant && {
+          colors: variant.state,
+          styles: variant.styleState,
+          rules: variant.customRules,
+          uiColors: variant.uiColors,
+          pandoc: variant.pandoc,
+          paletteRefs: variant.paletteRefs,
+        },
+      ])
+    ),
+  }),
+];
+
+// Variants the theme doesn't have (e.g. one converted from a single file) are left out
+export function buildThemeDocument(theme) {
+  return JSON.stringify(
+    {
+      $schema: THEME_DOCUMENT_SCHEMA,
+      version: THEME_DOCUMENT_VERSION,
+      name: theme.name,
+      metadata: theme.metadata,
+      typography: theme.typography,
+      variants: Object.fromEntries(
+        VARIANTS.filter((v) => theme.variants[v.id]).map((v) => {
+          const variant = theme.variants[v.id];
+          return [
+            v.id,
+            {
+              colors: variant.state,
+              styles: variant.styleState,
+              rules: variant.customRules,
+              uiColors: variant.uiColors,
+              pandoc: variant.pandoc,
+              paletteRefs: variant.paletteRefs,
+            },
+          ];
+        })
+      ),
+    },
+    null,
+    2
+  );
+}
+
+// A version 0 document: at least one variant with a `state` color map
+function isLegacySnapshot(data) {
+  const variants = data.variants;
+  if (!variants || typeof variants !== "object" || Array.isArray(variants)) return false;
+  return Object.values(variants).some(
+    (variant) => variant?.state && typeof variant.state === "object" && !Array.isArray(variant.state)
+  );
+}
+
+// Brings a parsed document up to THEME_DOCUMENT_VERSION. Documents from a newer
+// version are refused rather than loaded with their new fields silently dropped.
+export function migrateThemeDocument(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Expected a theme document object at the top level");
+  }
+  if (data.version === undefined && !isLegacySnapshot(data)) {
+    throw new Error(`Not an ${THEME_DOCUMENT_SUFFIX} document: it has neither a "version" nor a project's "variants"`);
+  }
+  const version = data.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid document version ${JSON.stringify(data.version)}`);
+  }
+  if (version > THEME_DOCUMENT_VERSION) {
+    throw new Error(`The document is version ${version}, but this builder only reads up to version ${THEME_DOCUMENT_VERSION}`);
+  }
+  let document = data;
+  for (let from = version; from < THEME_DOCUMENT_VERSION; from++) {
+    document = THEME_DOCUMENT_MIGRATIONS[from](document);
+  }
+  return document;
+}
+
+// A theme object from a document of any version; see normalizeTheme for `warnings`
+export function loadThemeDocument(text, warnings = []) {
+  const document = migrateThemeDocument(parseJsonc(text));
+  return normalizeTheme(
+    {
+      name: document.name,
+      metadata: document.metadata,
+      typography: document.typography,
+      variants: Object.fromEntries(
+        Object.entries(document.variants || {}).map(([id, variant]) => [
+          id,
+          variant && {
+            state: variant.colors,
+            styleState: variant.styles,
+            customRules: variant.rules,
+            uiColors: variant.uiColors,
+            pandoc: variant.pandoc,
+            paletteRefs: variant.paletteRefs,
+          },
+        ])
+      ),
+    },
+    warnings
+  );
+}
+
+// --- Theme files ---
+
+// Every text format, in the order the export dialog lists them. Per-variant formats
+// are written once for every entry in VARIANTS; the rest are named from the theme's
+// slug. `lang` is the Shiki language used to preview the generated source.
+export const THEME_FORMATS = [
+  { id: "arcadia-theme", label: "Arcadia theme (.arcadia-theme.json)", lang: "json", perVariant: false, filename: (slug) => `${slug}${THEME_DOCUMENT_SUFFIX}`, build: buildThemeDocument },
+  { id: "tmTheme", label: "TextMate (.tmTheme)", lang: "xml", perVariant: true, filename: (slug) => `${slug}.tmTheme`, build: buildTmTheme },
+  { id: "pandoc", label: "Pandoc / Quarto (.theme)", lang: "json", perVariant: true, filename: (slug) => `${slug}.theme`, build: buildPandocTheme },
+  { id: "quarto-css", label: "Quarto CSS with fonts", lang: "css", perVariant: true, filename: (slug) => `${slug}-quarto.css`, build: buildQuartoCss },
+  { id: "vscode", label: "VS Code JSON", lang: "json", perVariant: true, filename: (slug) => `${slug}-vscode.json`, build: buildVscodeTheme },
+  { id: "vscode-settings", label: "VS Code font settings", lang: "json", perVariant: false, filename: (slug) => `${slug}-settings.json`, build: buildVscodeSettings },
+  { id: "pygments", label: "Pygments style (.py)", lang: "python", perVariant: true, filename: (slug) => `${pygmentsModuleName(slug)}.py`, build: buildPygmentsStyle },
+  { id: "highlightjs", label: "highlight.js CSS", lang: "css", perVariant: true, filename: (slug) => `${slug}-highlightjs.css`, build: buildHighlightjsCss },
+  { id: "prism", label: "Prism CSS", lang: "css", perVariant: true, filename: (slug) => `${slug}-prism.css`, build: buildPrismCss },
+  { id: "jetbrains", label: "JetBrains (.icls)", lang: "xml", perVariant: true, filename: (slug) => `${slug}.icls`, build: buildJetbrainsScheme },
+  { id: "neovim", label: "Neovim (.lua)", lang: "lua", perVariant: true, filename: (slug) => `${slug}.lua`, build: buildNeovimColorscheme },
+  { id: "emacs", label: "Emacs (-theme.el)", lang: "emacs-lisp", perVariant: true, filename: (slug) => `${slug}-theme.el`, build: buildEmacsTheme },
+];
+
+// Builds the selected formats into [{ name, content, format }]. The app passes its
+// own format list to add the ones that need a browser; build() may return a promise.
+export async function exportFiles(theme, formatIds, formats = THEME_FORMATS) {
+  const selected = new Set(formatIds);
+  const files = [];
+  for (const format of formats) {
+    if (!selected.has(format.id)) continue;
+    if (format.perVariant) {
+      for (const v of VARIANTS) {
+        files.push({
+          name: format.filename(variantFileSlug(theme, v.id)),
+          content: await format.build(theme, v.id),
+          format,
+        });
+      }
+    } else {
+      files.push({ name: format.filename(themeSlug(theme)), content: await format.build(theme), format });
+    }
+  }
+  return files;
+}
+
+// --- Theme file validation ---
+
+// CSS named colors, accepted wherever a loader expects a hex value
+const CSS_NAMED_COLORS = {
+  aliceblue: "#F0F8FF", antiquewhite: "#FAEBD7", aqua: "#00FFFF", aquamarine: "#7FFFD4", azure: "#F0FFFF",
+  beige: "#F5F5DC", bisque: "#FFE4C4", black: "#000000", blanchedalmond: "#FFEBCD", blue: "#0000FF",
+  blueviolet: "#8A2BE2", brown: "#A52A2A", burlywood: "#DEB887", cadetblue: "#5F9EA0", chartreuse: "#7FFF00",
+  chocolate: "#D2691E", coral: "#FF7F50", cornflowerblue: "#6495ED", cornsilk: "#FFF8DC", crimson: "#DC143C",
+  cyan: "#00FFFF", darkblue: "#00008B", darkcyan: "#008B8B", darkgoldenrod: "#B8860B", darkgray: "#A9A9A9",
+  darkgreen: "#006400", darkgrey: "#A9A9A9", darkkhaki: "#BDB76B", darkmagenta: "#8B008B", darkolivegreen: "#556B2F",
+  darkorange: "#FF8C00", darkorchid: "#9932CC", darkred: "#8B0000", darksalmon: "#E9967A", darkseagreen: "#8FBC8F",
+  darkslateblue: "#483D8B", darkslategray: "#2F4F4F", darkslategrey: "#2F4F4F", darkturquoise: "#00CED1", darkviolet: "#9400D3",
+  deeppink: "#FF1493", deepskyblue: "#00BFFF", dimgray: "#696969", dimgrey: "#696969", dodgerblue: "#1E90FF",
+  firebrick: "#B22222", floralwhite: "#FFFAF0", forestgreen: "#228B22", fuchsia: "#FF00FF", gainsboro: "#DCDCDC",
+  ghostwhite: "#F8F8FF", gold: "#FFD700", goldenrod: "#DAA520", gray: "#808080", green: "#008000",
+  greenyellow: "#ADFF2F", grey: "#808080", honeydew: "#F0FFF0", hotpink: "#FF69B4", indianred: "#CD5C5C",
+  indigo: "#4B0082", ivory: "#FFFFF0", khaki: "#F0E68C", lavender: "#E6E6FA", lavenderblush: "#FFF0F5",
+  lawngreen: "#7CFC00", lemonchiffon: "#FFFACD", lightblue: "#ADD8E6", lightcoral: "#F08080", lightcyan: "#E0FFFF",
+  lightgoldenrodyellow: "#FAFAD2", lightgray: "#D3D3D3", lightgreen: "#90EE90", lightgrey: "#D3D3D3", lightpink: "#FFB6C1",
+  lightsalmon: "#FFA07A", lightseagreen: "#20B2AA", lightskyblue: "#87CEFA", lightslategray: "#778899", lightslategrey: "#778899",
+  lightsteelblue: "#B0C4DE", lightyellow: "#FFFFE0", lime: "#00FF00", limegreen: "#32CD32", linen: "#FAF0E6",
+  magenta: "#FF00FF", maroon: "#800000", mediumaquamarine: "#66CDAA", mediumblue: "#0000CD", mediumorchid: "#BA55D3",
+  mediumpurple: "#9370DB", mediumseagreen: "#3CB371", mediumslateblue: "#7B68EE", mediumspringgreen: "#00FA9A", mediumturquoise: "#48D1CC",
+  mediumvioletred: "#C71585", midnightblue: "#191970", mintcream: "#F5FFFA", mistyrose: "#FFE4E1", moccasin: "#FFE4B5",
+  navajowhite: "#FFDEAD", navy: "#000080", oldlace: "#FDF5E6", olive: "#808000", olivedrab: "#6B8E23",
+  orange: "#FFA500", orangered: "#FF4500", orchid: "#DA70D6", palegoldenrod: "#EEE8AA", palegreen: "#98FB98",
+  paleturquoise: "#AFEEEE", palevioletred: "#DB7093", papayawhip: "#FFEFD5", peachpuff: "#FFDAB9", peru: "#CD853F",
+  pink: "#FFC0CB", plum: "#DDA0DD", powderblue: "#B0E0E6", purple: "#800080", rebeccapurple: "#663399",
+  red: "#FF0000", rosybrown: "#BC8F8F", royalblue: "#4169E1", saddlebrown: "#8B4513", salmon: "#FA8072",
+  sandybrown: "#F4A460", seagreen: "#2E8B57", seashell: "#FFF5EE", sienna: "#A0522D", silver: "#C0C0C0",
+  skyblue: "#87CEEB", slateblue: "#6A5ACD", slategray: "#708090", slategrey: "#708090", snow: "#FFFAFA",
+  springgreen: "#00FF7F", steelblue: "#4682B4", tan: "#D2B48C", teal: "#008080", thistle: "#D8BFD8",
+  tomato: "#FF6347", turquoise: "#40E0D0", violet: "#EE82EE", wheat: "#F5DEB3", white: "#FFFFFF",
+  whitesmoke: "#F5F5F5", yellow: "#FFFF00", yellowgreen: "#9ACD32",
+};
+
+// Turns #abc, #abcd, #RRGGBB, #RRGGBBAA and CSS names into "#RRGGBB". Returns null
+// for anything else. Alpha is dropped (themes here are opaque) with a warning.
+export function normalizeColor(value, context, warnings) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  const named = CSS_NAMED_COLORS[trimmed.toLowerCase()];
+  if (named) return named;
+
+  let hex = trimmed.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i)?.[1];
+  if (!hex) return null;
+  if (hex.length <= 4) hex = [...hex].map((c) => c + c).join("");
+  if (hex.length === 8) {
+    if (hex.slice(6).toUpperCase() !== "FF") {
+      warnings.push(`${context}: dropped the alpha channel of ${trimmed}`);
+    }
+    hex = hex.slice(0, 6);
+  }
+  return `#${hex.toUpperCase()}`;
+}
+
+// Like normalizeColor, but records a warning when the value has to be rejected
+function importColor(value, context, warnings) {
+  if (value == null || value === "") return null;
+  const hex = normalizeColor(value, context, warnings);
+  if (!hex) warnings.push(`${context}: ignored invalid color ${JSON.stringify(value)}`);
+  return hex;
+}
+
+function lineAndColumn(text, position) {
+  const before = text.slice(0, position).split("\n");
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// JSON.parse only sometimes says where it failed, and engines word it differently.
+// This walks the text once more to find the first error: { position, expected }.
+function findJsonError(text) {
+  let i = 0;
+  const fail = (expected) => {
+    throw { position: i, expected };
+  };
+  const skipWhitespace = () => {
+    while (/\s/.test(text[i] ?? "")) i++;
+  };
+  const string = () => {
+    i++;
+    while (text[i] !== '"') {
+      if (i >= text.length || text[i] < " ") fail("a closing quote");
+      i += text[i] === "\\" ? 2 : 1;
+    }
+    i++;
+  };
+  const value = () => {
+    skipWhitespace();
+    const open = text[i];
+    if (open === "{" || open === "[") {
+      const close = open === "{" ? "}" : "]";
+      i++;
+      skipWhitespace();
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      for (;;) {
+        if (open === "{") {
+          skipWhitespace();
+          if (text[i] !== '"') fail("a property name");
+          string();
+          skipWhitespace();
+          if (text[i] !== ":") fail('":"');
+          i++;
+        }
+        value();
+        skipWhitespace();
+        if (text[i] === close) {
+          i++;
+          return;
+        }
+        if (text[i] !== ",") fail(`"," or "${close}"`);
+        i++;
+      }
+    }
+    if (open === '"') return string();
+    const literal = text.slice(i).match(/^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)/);
+    if (!literal) fail("a value");
+    i += literal[0].length;
+  };
+
+  try {
+    value();
+    skipWhitespace();
+    if (i < text.length) fail("the end of the file");
+  } catch (err) {
+    if (err.expected) return err;
+    throw err;
+  }
+  return null;
+}
+
+function formatLocation(location) {
+  return location ? ` at line ${location.line}, column ${location.column}` : "";
+}
+
+// --- Theme loaders (export format -> state) ---
+
+// JSON with comments and trailing commas, as VS Code writes its theme files.
+// Comments and dropped commas become spaces so error positions match the input.
+export function parseJsonc(text) {
+  let out = "";
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') end += text[end] === "\\" ? 2 : 1;
+      out += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (ch === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") {
+        out += " ";
+        i++;
+      }
+    } else if (ch === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      const comment = text.slice(i, end === -1 ? text.length : end + 2);
+      out += comment.replace(/[^\n]/g, " ");
+      i += comment.length;
+    } else if (ch === ",") {
+      const next = text.slice(i + 1).match(/^(\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/)[0];
+      out += /^[}\]]/.test(text.slice(i + 1 + next.length)) ? " " : ch;
+      i++;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  try {
+    return JSON.parse(out);
+  } catch (err) {
+    const found = findJsonError(out);
+    if (!found) throw new Error(`Invalid JSON: ${err.message}`);
+    const actual = found.position < out.length ? JSON.stringify(out[found.position]) : "the end of the file";
+    throw new Error(`Invalid JSON${formatLocation(lineAndColumn(out, found.position))}: expected ${found.expected}, found ${actual}`);
+  }
+}
+
+// How well an imported selector describes one of a category's scopes. Selectors equal
+// to or broader than the category scope apply to it directly, as in TextMate; more
+// specific ones ("keyword.control.flow") are only used when nothing applies directly.
+// Descendant selectors and exclusions are matched on their final scope.
+export function importMatchScore(selector, categoryScope) {
+  const scope = selector.split(" - ")[0].trim().split(/\s+/).pop();
+  if (!scope) return 0;
+  if (scopeMatchesSelector(categoryScope, scope)) return 1000 + scope.split(".").length;
+  if (scopeMatchesSelector(scope, categoryScope)) return categoryScope.split(".").length;
+  return 0;
+}
+
+// Applies TextMate-style rules ({ scopes, foreground, fontStyle }, in file order) to
+// TOKEN_CATEGORIES. For every category the best-scoring rule wins, later rules
+// breaking ties. Selectors that color no category are kept as custom scope rules,
+// replacing the variant's current ones. Returns one report entry per selector.
+function applyImportedRules(rules, variant, warnings) {
+  const { state, styleState } = variant;
+  const winners = new Map();
+  const report = [];
+  const imported = [];
+
+  for (const rule of rules) {
+    const foreground = importColor(rule.foreground, `Rule "${rule.scopes.join(", ")}"`, warnings);
+    const entries = rule.scopes.map((selector) => ({ selector, categories: [], kept: null, reason: null }));
+    report.push(...entries);
+    imported.push({ rule, foreground, entries });
+    if (!foreground) {
+      for (const entry of entries) {
+        entry.reason = rule.foreground ? "invalid foreground color" : "no foreground color";
+      }
+      continue;
+    }
+    for (const cat of TOKEN_CATEGORIES) {
+      const score = Math.max(
+        ...rule.scopes.flatMap((selector) => cat.tmScopes.map((scope) => importMatchScore(selector, scope)))
+      );
+      if (score === 0) continue;
+      const best = winners.get(cat.id);
+      if (!best || score >= best.score) {
+        winners.set(cat.id, { score, rule, foreground, entries });
+      }
+    }
+  }
+
+  for (const [catId, { rule, foreground, entries }] of winners) {
+    state[catId] = foreground;
+    const fs = rule.fontStyle || "";
+    styleState[catId] = {
+      bold: fs.includes("bold"),
+      italic: fs.includes("italic"),
+    };
+    const cat = TOKEN_CATEGORIES.find((c) => c.id === catId);
+    for (const entry of entries) {
+      if (cat.tmScopes.some((scope) => importMatchScore(entry.selector, scope) > 0)) {
+        entry.categories.push(catId);
+      }
+    }
+  }
+
+  variant.customRules = [];
+  for (const { rule, foreground, entries } of imported) {
+    const unmapped = entries.filter((entry) => !entry.reason && entry.categories.length === 0);
+    if (unmapped.length === 0) continue;
+    const fs = rule.fontStyle || "";
+    variant.customRules.push({
+      ...createCustomRule(foreground),
+      scope: unmapped.map((entry) => entry.selector).join(", "),
+      bold: fs.includes("bold"),
+      italic: fs.includes("italic"),
+    });
+    for (const entry of unmapped) entry.kept = "scope rule";
+  }
+  return report;
+}
+
+// Workbench colors that differ from what the token colors would derive
+function importUiColors(colors, variant, warnings) {
+  variant.uiColors = {};
+  for (const def of UI_COLORS) {
+    const hex = importColor(colors[def.key], def.key, warnings);
+    if (hex) variant.uiColors[def.key] = hex;
+  }
+  pruneUiColors(variant);
+}
+
+export function pruneUiColors(variant) {
+  for (const [key, hex] of Object.entries(variant.uiColors)) {
+    const derived = UI_COLORS.find((def) => def.key === key).derive(variant.state);
+    if (derived.toUpperCase() === hex.toUpperCase()) delete variant.uiColors[key];
+  }
+}
+
+// Tokens styled differently from their category are attached to a scope rule with
+// the same style when there is one, and kept as Pandoc token styles otherwise. The
+// Pandoc file is authoritative, so existing token links and styles are replaced.
+export function importPandocSettings(variant, { overrides, lineNumberColor, lineNumberBackground }) {
+  for (const rule of variant.customRules) rule.pandocToken = null;
+  variant.pandoc = { tokens: {}, lineNumberColor, lineNumberBackground };
+
+  for (const { token, color, background, bold, italic, underline, entry } of overrides) {
+    const rule = !background && !underline && color && activeRules(variant).find(
+      (r) => !r.pandocToken && r.color.toUpperCase() === color && r.bold === bold && r.italic === italic
+    );
+    if (rule) {
+      rule.pandocToken = token;
+      entry.kept = `scope rule ${rule.scope}`;
+    } else {
+      variant.pandoc.tokens[token] = { color, background, bold, italic, underline };
+      entry.kept = "Pandoc token style";
+    }
+  }
+}
+
+function splitScopes(scope) {
+  const scopes = Array.isArray(scope) ? scope : [scope];
+  return scopes
+    .filter((s) => typeof s === "string")
+    .flatMap((s) => s.split(","))
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function loadVscodeTheme(json, variant) {
+  const { state } = variant;
+  const warnings = [];
+  const globals = [];
+  if (json.colors) {
+    const bg = importColor(json.colors["editor.background"], "editor.background", warnings);
+    const fg = importColor(json.colors["editor.foreground"], "editor.foreground", warnings);
+    if (bg) state.background = bg;
+    if (fg) state.foreground = fg;
+    if (bg) globals.push("background");
+    if (fg) globals.push("foreground");
+  }
+
+  if (json.tokenColors !== undefined && !Array.isArray(json.tokenColors)) {
+    warnings.push("tokenColors is not an array and was ignored");
+  }
+  const tokenColors = Array.isArray(json.tokenColors) ? json.tokenColors : [];
+  const rules = tokenColors
+    .filter((entry) => entry?.scope)
+    .map((entry) => ({
+      scopes: splitScopes(entry.scope),
+      foreground: entry.settings?.foreground,
+      fontStyle: entry.settings?.fontStyle,
+    }));
+  const report = applyImportedRules(rules, variant, warnings);
+  const extras = ["scopeRules"];
+  if (json.colors) {
+    importUiColors(json.colors, variant, warnings);
+    extras.push("workbenchColors");
+  }
+  const name = typeof json.name === "string" && json.name ? json.name : null;
+  return { rules: report, warnings, targets: [...globals, ...mappedCategories(report)], extras, name, metadata: {} };
+}
+
+// The metadata fields a file sets, leaving the rest of the theme's alone
+function fileMetadata(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => typeof value === "string" && value.trim()));
+}
+
+function mappedCategories(report) {
+  return [...new Set(report.flatMap((entry) => entry.categories))];
+}
+
+export function loadPandocTheme(json, variant) {
+  const { state, styleState } = variant;
+  const warnings = [];
+  const globals = [];
+  const fg = importColor(json["text-color"], "text-color", warnings);
+  const bg = importColor(json["background-color"], "background-color", warnings);
+  if (fg) state.foreground = fg;
+  if (bg) state.background = bg;
+  if (fg) globals.push("foreground");
+  if (bg) globals.push("background");
+
+  const styles = [];
+  for (const [tokKey, style] of Object.entries(json["text-styles"] || {})) {
+    const entry = { selector: tokKey, categories: [], kept: null, reason: null };
+    const color = importColor(style?.["text-color"], tokKey, warnings);
+    const background = importColor(style?.["background-color"], `${tokKey} background`, warnings);
+    const underline = !!style?.["underline"];
+    if (!color && !background && !underline) {
+      entry.reason = style?.["text-color"] ? "invalid text color" : "no text color";
+    }
+    styles.push({
+      token: tokKey.replace(/Tok$/, ""),
+      catId: pandocTokenToCategoryId.get(tokKey),
+      color,
+      background,
+      bold: !!style?.["bold"],
+      italic: !!style?.["italic"],
+      underline,
+      entry,
+    });
+  }
+
+  // A category takes the style of the first of its pandocTokens in the file; any
+  // token styled differently is a per-token override
+  const styleKey = (s) => [s.color, s.background, s.bold, s.italic, s.underline].join();
+  const categoryStyle = new Map();
+  for (const cat of TOKEN_CATEGORIES) {
+    const primary = cat.pandocTokens
+      .map((tok) => styles.find((s) => s.token === tok && s.color))
+      .find(Boolean);
+    if (!primary) continue;
+    state[cat.id] = primary.color;
+    styleState[cat.id] = { bold: primary.bold, italic: primary.italic };
+    categoryStyle.set(cat.id, styleKey({ ...primary, background: null, underline: false }));
+  }
+
+  const overrides = [];
+  for (const style of styles) {
+    if (style.entry.reason) continue;
+    if (style.catId && categoryStyle.get(style.catId) === styleKey(style)) {
+      style.entry.categories.push(style.catId);
+    } else if (ALL_PANDOC_TOKENS.includes(style.token)) {
+      overrides.push(style);
+    } else {
+      style.entry.reason = "unknown Pandoc token";
+    }
+  }
+
+  const lineNumberColor = importColor(json["line-number-color"], "line-number-color", warnings);
+  const pandoc = {
+    overrides,
+    lineNumberColor: lineNumberColor?.toUpperCase() === state.foreground.toUpperCase() ? null : lineNumberColor,
+    lineNumberBackground: importColor(json["line-number-background-color"], "line-number-background-color", warnings),
+  };
+  importPandocSettings(variant, pandoc);
+  const report = styles.map((s) => s.entry);
+  const name = typeof json.metadata?.name === "string" && json.metadata.name ? json.metadata.name : null;
+  const metadata = fileMetadata({ author: json.metadata?.author, license: json.metadata?.license });
+  return { rules: report, warnings, targets: [...globals, ...mappedCategories(report)], extras: [], pandoc, name, metadata };
+}
+
+// Just enough XML for property lists: elements, attributes, text, the predefined and
+// numeric entities, comments, CDATA and a prolog. Returns the root element as
+// { name, children, text }; errors say where the document stopped making sense.
+function parseXml(text) {
+  let i = 0;
+  const fail = (detail) => {
+    throw new Error(`Invalid XML${formatLocation(lineAndColumn(text, i))}: ${detail}`);
+  };
+  const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+  const decode = (raw) => {
+    const bad = raw.search(/&(?!(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);)/i);
+    if (bad !== -1) {
+      i += bad;
+      fail("unescaped & or unknown entity");
+    }
+    return raw.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (_, ref) => {
+      if (ref[0] !== "#") return ENTITIES[ref];
+      return String.fromCodePoint(ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : Number(ref.slice(1)));
+    });
+  };
+  const skipPast = (terminator, what) => {
+    const end = text.indexOf(terminator, i);
+    if (end === -1) fail(`${what} is never closed`);
+    i = end + terminator.length;
+  };
+  const misc = () => {
+    for (;;) {
+      while (/\s/.test(text[i] ?? "")) i++;
+      if (text.startsWith("<?", i)) skipPast("?>", "processing instruction");
+      else if (text.startsWith("<!--", i)) skipPast("-->", "comment");
+      else if (text.startsWith("<!DOCTYPE", i)) skipPast(">", "DOCTYPE");
+      else return;
+    }
+  };
+  const OPEN_TAG = /<([A-Za-z_][\w.:-]*)(?:\s+[\w.:-]+\s*=\s*(?:"[^"<]*"|'[^'<]*'))*\s*(\/?)>/y;
+  const CLOSE_TAG = /<\/([A-Za-z_][\w.:-]*)\s*>/y;
+  const element = () => {
+    OPEN_TAG.lastIndex = i;
+    const open = OPEN_TAG.exec(text);
+    if (!open) fail("expected an element");
+    i = OPEN_TAG.lastIndex;
+    const node = { name: open[1], children: [], text: "" };
+    if (open[2]) return node;
+    for (;;) {
+      if (i >= text.length) fail(`<${node.name}> is never closed`);
+      if (text.startsWith("</", i)) {
+        CLOSE_TAG.lastIndex = i;
+        const close = CLOSE_TAG.exec(text);
+        if (!close || close[1] !== node.name) fail(`expected </${node.name}>`);
+        i = CLOSE_TAG.lastIndex;
+        return node;
+      }
+      if (text.startsWith("<!--", i)) {
+        skipPast("-->", "comment");
+      } else if (text.startsWith("<![CDATA[", i)) {
+        const start = i + 9;
+        skipPast("]]>", "CDATA section");
+        node.text += text.slice(start, i - 3);
+      } else if (text[i] === "<") {
+        node.children.push(element());
+      } else {
+        const end = text.indexOf("<", i);
+        const raw = text.slice(i, end === -1 ? text.length : end);
+        node.text += decode(raw);
+        i += raw.length;
+      }
+    }
+  };
+
+  misc();
+  if (i >= text.length) fail("the file is empty");
+  const root = element();
+  misc();
+  if (i < text.length) fail("unexpected content after the root element");
+  return root;
+}
+
+// Property list elements as plain values: dicts become objects, arrays arrays, and
+// strings, numbers and booleans themselves
+function plistValue(node) {
+  switch (node.name) {
+    case "dict": {
+      const value = {};
+      for (let k = 0; k < node.children.length; k += 2) {
+        const key = node.children[k];
+        const item = node.children[k + 1];
+        if (key.name === "key" && item) value[key.text] = plistValue(item);
+      }
+      return value;
+    }
+    case "array":
+      return node.children.map(plistValue);
+    case "integer":
+    case "real":
+      return Number(node.text);
+    case "true":
+      return true;
+    case "false":
+      return false;
+    default:
+      return node.text;
+  }
+}
+
+export function loadTmTheme(xmlString, variant) {
+  const { state } = variant;
+  const warnings = [];
+  const globals = [];
+  const root = parseXml(xmlString);
+  const dict = root.name === "plist" && root.children.find((child) => child.name === "dict");
+  if (!dict) {
+    throw new Error("Not a TextMate theme: expected a <plist> with a top-level <dict>");
+  }
+  const plist = plistValue(dict);
+  const entries = Object.values(plist)
+    .filter(Array.isArray)
+    .flat()
+    .filter((entry) => entry && typeof entry === "object" && !Array.isArray(entry));
+
+  const rules = [];
+  for (const entry of entries) {
+    const settings = entry.settings && typeof entry.settings === "object" ? entry.settings : {};
+    if (typeof entry.scope === "string") {
+      rules.push({
+        scopes: splitScopes(entry.scope),
+        foreground: settings.foreground || null,
+        fontStyle: settings.fontStyle || null,
+      });
+    } else if (entry.settings) {
+      const bg = importColor(settings.background, "background", warnings);
+      const fg = importColor(settings.foreground, "foreground", warnings);
+      if (bg) state.background = bg;
+      if (fg) state.foreground = fg;
+      if (bg) globals.push("background");
+      if (fg) globals.push("foreground");
+    }
+  }
+  const report = applyImportedRules(rules, variant, warnings);
+  const name = typeof plist.name === "string" && plist.name ? plist.name : null;
+  const metadata = fileMetadata({ author: plist.author, description: plist.comment });
+  return { rules: report, warnings, targets: [...globals, ...mappedCategories(report)], extras: ["scopeRules"], name, metadata };
+}
+
+// Returns the loader's import report: { rules: [{ selector, categories, kept, reason }],
+// warnings, targets, extras, name, metadata }, where targets lists the background/
+// foreground/category ids the file set, extras names the format-specific data it
+// carried, name is the theme name in the file, if any, and metadata holds the
+// metadata fields it set. Throws when the file can't be parsed or isn't a theme at all.
+export function loadThemeFromFile(filename, content, variant) {
+  if (filename.endsWith(".tmTheme")) {
+    return loadTmTheme(content, variant);
+  }
+  if (!filename.endsWith(".json") && !filename.endsWith(".theme")) {
+    throw new Error("Unsupported file type; expected .tmTheme, .theme, .json or .zip");
+  }
+  const json = parseJsonc(content);
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("Expected a JSON object at the top level");
+  }
+  if (json["text-styles"]) {
+    return loadPandocTheme(json, variant);
+  }
+  if (!json.tokenColors && !json.colors) {
+    throw new Error("Not a VS Code or Pandoc theme: no tokenColors, colors or text-styles");
+  }
+  return loadVscodeTheme(json, variant);
+}
+
+// Exported files carry a -light/-dark suffix; null for anything else
+export function variantIdForFile(filename) {
+  return filename.match(/-(light|dark)(-vscode\.json|\.theme|\.tmTheme)$/)?.[1] || null;
+}
+
+// Typography from an exported VS Code settings snippet; the fallback fonts we append
+// on export are dropped again
+export function loadVscodeSettings(text) {
+  const settings = parseJsonc(text);
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error("Expected a JSON object of VS Code settings");
+  }
+  const families = String(settings["editor.fontFamily"] || "")
+    .split(",")
+    .map((name) => name.trim().replace(/^["']|["']$/g, ""))
+    .filter((name) => name && !MONO_FONT_FALLBACKS.includes(name));
+  return normalizeTypography({
+    fontFamily: families.join(", "),
+    fontSize: settings["editor.fontSize"],
+    lineHeight: settings["editor.lineHeight"],
+    letterSpacing: settings["editor.letterSpacing"],
+    ligatures: settings["editor.fontLigatures"],
+  });
+}